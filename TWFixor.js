@@ -16,8 +16,8 @@
  * Sequel:			Invalid penend event, since it is artificial
  * 
  * Misbehavior:		All gesture events currently do not contain identifier information
- * Fix:				Inject a fixed identifier into every Pen message
- * Sequel:			No multiple Gesture inputs at once possible, since no distinguishment is possible right now
+ * Fix:				Inject a fixed identifier per gestureType into every gesture message without an identifier
+ * Sequel:			No multiple Gesture inputs of the same type at once possible, unless the server provides identifiers
  * 
  * Misbehavior:		All gesture events currently do not contain the 'touches' array, which is required to determine the target properly
  * Fix:				Artificially inject the 'touches' array with two identical touches whose positions are the same as the pivot information of the gesture
@@ -310,10 +310,11 @@ function TWFixor(options) {
 	
 	
 	/**
-	 * currentRotationInDegrees stores the last value of the rotation gesture in degrees
+	 * currentRotationInDegrees stores the last value of each rotation gesture in degrees,
+	 * currentScaleFactor the last absolute value of each scale gesture (both by gesture key)
 	 */
-	var currentRotationInDegrees;
-	var currentScaleFactor;
+	var currentRotationInDegrees	= {};
+	var currentScaleFactor			= {};
 	
 	var lastScaleGestureMessage	= null,
 		scaleHasStarted			= false;
@@ -327,19 +328,13 @@ function TWFixor(options) {
 	var gestureTimeout = {};
 		
 	function bufferGestureMessage(message) {
-		// give them an identifier since T&W does not provide any identification information
-		switch(message.gestureType) {
-			case 'gesture':	message.id	= 1; break;
-			case 'scale':	message.id	= 2; break;
-			case 'rotation':message.id	= 3; break;
-			case 'drag':	message.id	= 4; break;
-			default:		message.id	= 5;
-		}
+		identifyGestureMessage(message);
+		var key	= getGestureKey(message);
 		
 		switch(message.state) {
 			case 'start':
-				if (lastGestureState[message.gestureType]=='end' && gestureTimeout[message.gestureType]) {
-					clearTimeout(gestureTimeout[message.gestureType]);
+				if (lastGestureState[key]=='end' && gestureTimeout[key]) {
+					clearTimeout(gestureTimeout[key]);
 				} else {
 					fixGestureMessage(message);
 				}
@@ -352,17 +347,43 @@ function TWFixor(options) {
 			case 'end':
 				// trigger the event later
 				(function(message){
-					gestureTimeout[message.gestureType] = setTimeout(function(){
+					gestureTimeout[key] = setTimeout(function(){
 						fixGestureMessage(message);
 					}, options.reanimationTimeOut);
 				})(message);
 				break;
 		}
 		
-		lastGestureState[message.gestureType]	= message.state;
+		lastGestureState[key]	= message.state;
+	}
+	
+	/**
+	 * identifyGestureMessage
+	 * Gives a gesture message an identifier if the server does not provide any identification
+	 * information (T&W), one fixed identifier per gestureType.
+	 */
+	function identifyGestureMessage(message) {
+		if (message.id!==undefined) return;
+		switch(message.gestureType) {
+			case 'gesture':	message.id	= 1; break;
+			case 'scale':	message.id	= 2; break;
+			case 'rotate':	message.id	= 3; break;
+			case 'drag':	message.id	= 4; break;
+			default:		message.id	= 5;
+		}
+	}
+	
+	/**
+	 * getGestureKey
+	 * Returns the key the state of a gesture is stored under, since the identifiers of different
+	 * gesture types may be the same.
+	 */
+	function getGestureKey(message) {
+		return message.gestureType+':'+message.id;
 	}
 
 	var bufferedMessage;
+	var bufferedRotateMessages	= {};
 	var mergedMessageStartHasBeenFired = false;
 	var readyToSendChangeEvents = false;
 	
@@ -379,21 +400,17 @@ function TWFixor(options) {
 	 * the resulting gesture contains both scale and rotation value (then already fixed into absolute
 	 * ones).
 	 * 
-	 * ASSUMPTION: No multiple gestures at once possible, since T&W does not deliver identifiers
-	 * for gestures(!)
+	 * Multiple gestures at once are differentiated by their identifiers (see bufferGestureMessage).
+	 * ASSUMPTION: If mergeGestures is set, no multiple scale and rotate gestures at once are possible,
+	 * since there is no information which scale and rotate gestures belong together(!)
 	 */
 	function fixGestureMessage(message) {
-		/**
-		 * Give those Gesture messages an identifier.
-		 * Multiple Rotate/Scale/Drag gestures at once must be differentiated using the identifier
-		 * Since T&W currently does not deliver any identifier information, set all identifiers
-		 * to '1' --> implies that there may not be multiple gestures of the same type at once!
-		 */
-		message.id	= 1;
+		identifyGestureMessage(message);
 		
 		/**
 		 * caching for processing
 		 */
+		var key		= getGestureKey(message);
 		var isRotate= (message.gestureType=='rotate'),
 			isScale	= (message.gestureType=='scale'),
 			isDrag	= (message.gestureType=='drag'),
@@ -407,16 +424,17 @@ function TWFixor(options) {
 		if (isRotate) {
 			switch(message.state) {
 				case 'start':
-					currentRotationInDegrees = 0;
+					currentRotationInDegrees[key] = 0;
 					break;
 
 				case 'change':
 					var relRotationDegree	= message.rotation * (180.0 / Math.PI);
-					message.rotation	= currentRotationInDegrees += relRotationDegree;
+					message.rotation	= currentRotationInDegrees[key] = (currentRotationInDegrees[key] || 0) + relRotationDegree;
 					break;
 
 				case 'end':
-					message.rotation	= currentRotationInDegrees;
+					message.rotation	= currentRotationInDegrees[key] || 0;
+					delete currentRotationInDegrees[key];
 					break;
 			}
 		}
@@ -427,14 +445,15 @@ function TWFixor(options) {
 		if (isScale) {
 			switch(message.state) {
 				case 'start':
-					currentScaleFactor	= 1;
+					currentScaleFactor[key]	= 1;
 					break;
 				case 'change':
 				case 'end':			// T&W sends '1' in end state
-					currentScaleFactor = currentScaleFactor * message.scale;
+					currentScaleFactor[key] = (currentScaleFactor[key] || 1) * message.scale;
 					break;
 			}
-			message.scale	= currentScaleFactor;
+			message.scale	= currentScaleFactor[key];
+			if (isEnd) delete currentScaleFactor[key];
 		}
 		
 		if (isDrag) {
@@ -530,25 +549,26 @@ function TWFixor(options) {
 				message.touches	= [{x: message.pivotX, y: message.pivotY},{x: message.pivotX, y: message.pivotY}];
 				
 				if (isStart) {
-					bufferedMessage	= message;
+					bufferedRotateMessages[key]	= message;
 					message			= null;
 				}
 				if (isChange) {
-					if (bufferedMessage) {
-						extend(bufferedMessage, {
+					var bufferedRotate	= bufferedRotateMessages[key];
+					if (bufferedRotate) {
+						extend(bufferedRotate, {
 							state:	'start',
 							pivotX:	message.pivotX,
 							pivotY:	message.pivotY,
 							touches:[{x: message.pivotX, y: message.pivotY},{x: message.pivotX, y: message.pivotY}]
 						});
-						tuioJSONParser.parse(bufferedMessage);
+						tuioJSONParser.parse(bufferedRotate);
 					}
-					bufferedMessage	= null;
+					delete bufferedRotateMessages[key];
 					
-					if (dropBecauseOfDropRate(message.gestureType)) message = null;
+					if (dropBecauseOfDropRate(key)) message = null;
 				}
 				if (isEnd) {
-					bufferedMessage	= null;
+					delete bufferedRotateMessages[key];
 				}
 			}
 			
@@ -574,6 +594,7 @@ function TWFixor(options) {
 			var message = {
 				type:		'gesture',
 				gestureType:'gesture',
+				id:			lastRotateGestureMessage.id,
 				state:		state,
 				scale:		lastScaleGestureMessage.scale,
 				rotation:	lastRotateGestureMessage.rotation,
@@ -588,12 +609,12 @@ function TWFixor(options) {
 		 * If the T&W is sending too many gesture messages, you can throttle them using
 		 * the gestureChangeEventDropRate option field
 		 */
-		function dropBecauseOfDropRate(gestureType) {
-			if (gestureChangeTicker[gestureType]==null) {
-				gestureChangeTicker[gestureType] = 0
+		function dropBecauseOfDropRate(key) {
+			if (gestureChangeTicker[key]==null) {
+				gestureChangeTicker[key] = 0
 				return true;
 			} else {
-				return (gestureChangeTicker[message.gestureType]++ % options.gestureChangeEventDropRate!=0);
+				return (gestureChangeTicker[key]++ % options.gestureChangeEventDropRate!=0);
 			}
 		}
 	}
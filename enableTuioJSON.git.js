@@ -1,32 +1,45 @@
-var script2=document.createElement('script');script2.src='https://raw.github.com/raffael-me/tuioJSON-Parser/master/lib/tuioJSONParser.js';script2.type='text/javascript';
-document.head.appendChild(script2);
+/**
+ * state variables
+ */
+var tuioParserComplete	= false,
+	connectionComplete	= false;
 
-setTimeout(function(){
-	var parser	= new tuioJSONParser({
-		logAll: false
-	});
 
-
-		// initialize a WebSocket Object
-		socket = new WebSocket('ws://127.0.0.1:8787/jWebSocket/jWebSocket');
-		
-		// define Callback handler for opOpen event
-		socket.onopen = function(){
-			socket.send('{"ns":"de.dfki.touchandwrite.streaming","type":"register","stream":"touchandwriteevents","utid":3}');
-			console.log("tuioJSON is ready");
-			var event	= document.createEvent('CustomEvent');
-			event.initCustomEvent('tuiojsonready', true, true, 1);
-			document.dispatchEvent(event);
-		}
-		
-		// define Callback handler for onMessage event
-		socket.onmessage = function(msg){
-			// extract JSON data from message
-			var data = JSON.parse(msg.data);
-			// post Timestamp
-			if (window.location.hash.indexOf('logtimestamp')!=-1) console.log("receive@"+new Date());
-			// and pass it to the TuioJSON parser
-			parser.parse(data);
-		}
+/**
+ * as soon as both scripts have been loaded, create the parser and the WebSocket connection
+ */
+function injectingTuioComplete(){
+	if (tuioParserComplete && connectionComplete) {
+		window.parser	= new tuioJSONParser({
+			logAll: false
+		});
 		
-}, 2000);
\ No newline at end of file
+		window.tuioConnection	= new tuioJSONConnection({
+			url:			'ws://127.0.0.1:8787/jWebSocket/jWebSocket',
+			target:			window.parser,
+			profile:		'touchandwrite',
+			profileOptions:	{ utid: 3 }
+		});
+	}
+}
+
+var scriptTuioParser	= document.createElement('script');
+scriptTuioParser.src	='https://raw.github.com/raffael-me/tuioJSON-Parser/master/lib/tuioJSONParser.js';
+scriptTuioParser.type	='text/javascript';
+scriptTuioParser.async	= true;
+scriptTuioParser.onload	= function(){
+	tuioParserComplete	= true;
+	injectingTuioComplete();
+}
+
+var scriptConnection	= document.createElement('script');
+scriptConnection.src	='https://raw.github.com/raffael-me/tuioJSON-Parser/master/lib/tuioJSONConnection.js';
+scriptConnection.type	='text/javascript';
+scriptConnection.async	= true;
+scriptConnection.onload	= function(){
+	connectionComplete	= true;
+	injectingTuioComplete();
+}
+
+document.head.appendChild(scriptTuioParser);
+document.head.appendChild(scriptConnection);
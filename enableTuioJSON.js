@@ -1,38 +1,45 @@
+/**
+ * state variables
+ */
+var tuioParserComplete	= false,
+	connectionComplete	= false;
+
+
+/**
+ * as soon as both scripts have been loaded, create the parser and the WebSocket connection
+ */
+function injectingTuioComplete(){
+	if (tuioParserComplete && connectionComplete) {
+		window.parser	= new tuioJSONParser({
+			logAll: false
+		});
+		
+		window.tuioConnection	= new tuioJSONConnection({
+			url:			'ws://127.0.0.1:8787/jWebSocket/jWebSocket',
+			target:			window.parser,
+			profile:		'touchandwrite',
+			profileOptions:	{ utid: 3 }
+		});
+	}
+}
+
 var scriptTuioParser	= document.createElement('script');
 scriptTuioParser.src	='http://raffael.local/bachelor/tuioJSON Parser/lib/tuioJSONParser.js';
 scriptTuioParser.type	='text/javascript';
 scriptTuioParser.async	= true;
 scriptTuioParser.onload	= function(){
-	
+	tuioParserComplete	= true;
+	injectingTuioComplete();
 }
-document.head.appendChild(scriptTuioParser);
 
+var scriptConnection	= document.createElement('script');
+scriptConnection.src	='http://raffael.local/bachelor/tuioJSON Parser/lib/tuioJSONConnection.js';
+scriptConnection.type	='text/javascript';
+scriptConnection.async	= true;
+scriptConnection.onload	= function(){
+	connectionComplete	= true;
+	injectingTuioComplete();
+}
 
-var parser	= new tuioJSONParser({
-	logAll: false
-});
-
-setTimeout(function(){
-		// initialize a WebSocket Object
-		socket = new WebSocket('ws://127.0.0.1:8787/jWebSocket/jWebSocket');
-		
-		// define Callback handler for opOpen event
-		socket.onopen = function(){
-			socket.send('{"ns":"de.dfki.touchandwrite.streaming","type":"register","stream":"touchandwriteevents","utid":3}');
-			var event	= document.createEvent('CustomEvent');
-			event.initCustomEvent('tuiojsonready', true, true, 1);
-			document.dispatchEvent(event);
-		}
-		
-		// define Callback handler for onMessage event
-		socket.onmessage = function(msg){
-			console.log("tuioJSON is ready");
-			// extract JSON data from message
-			var data = JSON.parse(msg.data);
-			// post Timestamp
-			if (window.location.hash.indexOf('logtimestamp')!=-1) console.log("receive@"+new Date());
-			// and pass it to the TuioJSON parser
-			parser.parse(data);
-		}
-		
-}, 2000);
\ No newline at end of file
+document.head.appendChild(scriptTuioParser);
+document.head.appendChild(scriptConnection);
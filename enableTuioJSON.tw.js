@@ -9,54 +9,33 @@
  * state variables
  */
 var tuioParserComplete	= false,
-	twFixorComplete		= false;
+	twFixorComplete		= false,
+	connectionComplete	= false;
 
 
 /**
- * as soon as both scripts have been loaded, create the parser and the WebSocket connection
+ * as soon as all scripts have been loaded, create the parser and the WebSocket connection
  */
 function injectingTuioComplete(){
-	if (tuioParserComplete && twFixorComplete) {
+	if (tuioParserComplete && twFixorComplete && connectionComplete) {
 		window.parserProxy	= new TWFixor({
 			tuioJSONParser:	new tuioJSONParser({
 				// parsing options
 			})
 		});
 		
-		// initialize a WebSocket Object
-		socket = new WebSocket('ws://127.0.0.1:8787/jWebSocket/jWebSocket');
-		
-		// define Callback handler for opOpen event
-		socket.onopen = function(){
-			var registerMessage = '{"ns":"de.dfki.touchandwrite.streaming","type":"register","stream":"touchandwriteevents"}';
-			socket.send(registerMessage);
-			console.log("tuioJSON is ready");
-			var event	= document.createEvent('CustomEvent');
-			event.initCustomEvent('tuiojsonready', true, true, 1);
-			document.dispatchEvent(event);
-		}
-		
-		// define Callback handler for onMessage event
-		socket.onmessage = function(msg){
-			var pos  = msg.data.indexOf('"id')+5;
-			
-			// extract JSON data from message
-			var data = JSON.parse(msg.data);
-			
-			// and pass it to the TuioJSON parser
-			window.parserProxy.parse(data);
-		}
-		
-		document.body.addEventListener('unload',function(){
-			var unregisterMessage = '{"ns":"de.dfki.touchandwrite.streaming","type":"unregister","stream":"touchandwriteevents"}';
-			socket.send(unregisterMessage);
-		},true);
+		window.tuioConnection	= new tuioJSONConnection({
+			url:		'ws://127.0.0.1:8787/jWebSocket/jWebSocket',
+			target:		window.parserProxy,
+			profile:	'touchandwrite'
+		});
 	}
 }
 
 /**
  * prepare script injecting and define onload event handlers
  */
+// actual lib:
 var scriptTuioParser	= document.createElement('script');
 scriptTuioParser.src	='http://raffael.local/bachelor/tuioJSON Parser/lib/tuioJSONParser.js';
 scriptTuioParser.type	='text/javascript';
@@ -66,6 +45,7 @@ scriptTuioParser.onload	= function(){
 	injectingTuioComplete();
 }
 
+// Fixor:
 var scriptTWFixor		= document.createElement('script');
 scriptTWFixor.src		='http://raffael.local/bachelor/tuioJSON Parser/TWFixor.js';
 scriptTWFixor.type		='text/javascript';
@@ -75,8 +55,19 @@ scriptTWFixor.onload	= function(){
 	injectingTuioComplete();
 }
 
+// connection:
+var scriptConnection	= document.createElement('script');
+scriptConnection.src	='http://raffael.local/bachelor/tuioJSON Parser/lib/tuioJSONConnection.js';
+scriptConnection.type	='text/javascript';
+scriptConnection.async	= true;
+scriptConnection.onload	= function(){
+	connectionComplete	= true;
+	injectingTuioComplete();
+}
+
 /**
- * append the two scripts
+ * append the three scripts
  */
 document.head.appendChild(scriptTuioParser);
 document.head.appendChild(scriptTWFixor);
+document.head.appendChild(scriptConnection);
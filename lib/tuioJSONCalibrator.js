@@ -0,0 +1,489 @@
+/**
+ * tuioJSONCalibrator | MIT & BSD
+ *
+ * Calibrates a tuioJSONParser for skewed or rotated surfaces (e.g. projector tables). An on-screen
+ * wizard asks the user to touch a set of crosses, and an affine or perspective transform is
+ * computed from the touched and the expected positions. The transform is stored in the
+ * localStorage and applied by the parser to every position.
+ *
+ *
+ * USAGE
+ *
+ * 		var calibrator	= new tuioJSONCalibrator({ target: parser });	// loads a stored calibration
+ * 		calibrator.start();												// runs the wizard
+ *
+ *
+ * CALIBRATION FORMAT
+ *
+ * 		{
+ * 			"version":	1,
+ * 			"type":		"perspective",
+ * 			"matrix":	[ 1.02, 0.01, -0.01, ... ],		// 3x3, row-major
+ * 			"points":	[ { "x": 0.1, "y": 0.1, "rawX": 0.12, "rawY": 0.09 }, ... ],
+ * 			"error":	0.002,							// root mean square error, percental
+ * 			"created":	"2012-06-01T12:00:00.000Z"
+ * 		}
+ *
+ * The matrix maps the percental coordinates sent by the server (after the parser's surfaceRotation,
+ * flipX, flipY and surfaceRegion have been applied) onto the percental coordinates the parser
+ * translates into pixels. Use exportCalibration() and importCalibration() to move a
+ * calibration to another machine.
+ *
+ *
+ * NOTE
+ *
+ * While the wizard is running, all messages passed to the parser are swallowed. Active contacts
+ * are cancelled as the wizard starts.
+ */
+function tuioJSONCalibrator(options) {
+
+	options = extend({
+		/* the tuioJSONParser to calibrate */
+		target: undefined,
+		/* the transform to compute: 'affine' (needs 3 points) or 'perspective' (needs 4 points) */
+		type: 'perspective',
+		/* the positions of the crosses, percental to the viewport */
+		points: [
+			{ x: 0.1, y: 0.1 },
+			{ x: 0.9, y: 0.1 },
+			{ x: 0.9, y: 0.9 },
+			{ x: 0.1, y: 0.9 },
+			{ x: 0.5, y: 0.5 }
+		],
+		/* the key the calibration is stored under, null disables storing */
+		storageKey: 'tuioJSONCalibration',
+		/* the storage object, defaults to the localStorage */
+		storage: undefined,
+		/* if set to true, a stored calibration will be applied immediately */
+		autoLoad: true,
+		/* optional callback function(calibration) that is called as soon as the wizard is done */
+		onComplete: null,
+		/* optional callback function() that is called if the wizard has been cancelled */
+		onCancel: null
+	},options);
+
+	if (!options.target) throw "No target object found";
+
+	// the index of the current cross and the touched (raw) positions of the previous ones
+	var current		= 0,
+		rawPoints	= [];
+
+	// the identifier and the positions of the Touch on the current cross
+	var touchId		= null,
+		samples		= [];
+
+	// the original parse() method of the target while the wizard is running
+	var originalParse	= null;
+
+	// the wizard's elements
+	var overlay		= null,
+		cross		= null,
+		label		= null;
+
+	// reference to this
+	var self		= this;
+
+	/**
+	 * @public start
+	 * Runs the calibration wizard.
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.start = function() {
+		if (originalParse) return;
+		if (options.points.length < minimumPoints()) throw "Not enough calibration points for a "+options.type+" transform";
+
+		var target		= options.target;
+		if (typeof target.cancelAll == 'function') target.cancelAll();
+		originalParse	= target.parse;
+		target.parse	= function(message) {
+			collect(message);
+			return true;
+		}
+
+		current		= 0;
+		rawPoints	= [];
+		touchId		= null;
+		samples		= [];
+		showOverlay();
+		showCross();
+	}
+
+	/**
+	 * @public cancel
+	 * Stops the wizard without changing the calibration.
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.cancel = function() {
+		if (!originalParse) return;
+		stop();
+		if (typeof options.onCancel == 'function') options.onCancel();
+	}
+
+	/**
+	 * @public isRunning
+	 *
+	 * @param	-		-
+	 * @return	TRUE if the wizard is currently running
+	 */
+	this.isRunning = function() {
+		return !!originalParse;
+	}
+
+	/**
+	 * @public getCalibration
+	 *
+	 * @param	-		-
+	 * @return	the calibration of the target OR null
+	 */
+	this.getCalibration = function() {
+		return options.target.getCalibration();
+	}
+
+	/**
+	 * @public load
+	 * Applies the stored calibration, if there is one.
+	 *
+	 * @param	-		-
+	 * @return	TRUE if a calibration has been loaded
+	 */
+	this.load = function() {
+		var storage	= getStorage(),
+			stored	= storage && storage.getItem(options.storageKey);
+		if (!stored) return false;
+		try {
+			options.target.setCalibration(validate(JSON.parse(stored)));
+			return true;
+		} catch(e) {
+			return false;
+		}
+	}
+
+	/**
+	 * @public clear
+	 * Removes the calibration from the target and the storage.
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.clear = function() {
+		var storage	= getStorage();
+		options.target.setCalibration(null);
+		if (storage) storage.removeItem(options.storageKey);
+	}
+
+	/**
+	 * @public exportCalibration
+	 * Returns the calibration of the target as JSON string, see CALIBRATION FORMAT.
+	 *
+	 * @param	-		-
+	 * @return	the JSON string OR null if the target is not calibrated
+	 */
+	this.exportCalibration = function() {
+		var calibration	= options.target.getCalibration();
+		return calibration ? JSON.stringify(calibration) : null;
+	}
+
+	/**
+	 * @public importCalibration
+	 * Applies and stores a calibration exported before.
+	 *
+	 * @param	calibration		The calibration object or its JSON string
+	 * @return	-
+	 */
+	this.importCalibration = function(calibration) {
+		if (typeof calibration == 'string') calibration = JSON.parse(calibration);
+		apply(validate(calibration));
+	}
+
+	/**
+	 * collect
+	 * Collects the positions of the first Touch on the current cross. As soon as it is lifted,
+	 * its mean position is taken and the next cross is shown.
+	 */
+	function collect(message) {
+		if (message.type=='bundle') {
+			for(var i=0;i<(message.messages || []).length;i++) collect(message.messages[i]);
+			return;
+		}
+		if (message.type!='touch') return;
+
+		if (touchId===null && message.state=='start') {
+			touchId	= message.id;
+			samples	= [];
+		}
+		if (message.id!==touchId) return;
+
+		if (message.x!==undefined && message.y!==undefined) {
+			// the transform is applied after the rotation, mirroring and region of the parser
+			var position	= options.target.getSurfacePosition(message.x, message.y);
+			if (position) samples.push(position);
+		}
+		if (message.state!='end' && message.state!='cancel') return;
+
+		touchId	= null;
+		if (message.state=='cancel' || !samples.length) return;
+
+		var x = 0, y = 0;
+		for(var i=0;i<samples.length;i++) {
+			x	+= samples[i].x;
+			y	+= samples[i].y;
+		}
+		rawPoints.push({ x: x/samples.length, y: y/samples.length });
+
+		if (++current < options.points.length) showCross();
+		else complete();
+	}
+
+	/**
+	 * complete
+	 * Computes, applies and stores the calibration as soon as all crosses have been touched.
+	 */
+	function complete() {
+		// the crosses are placed relative to the viewport of the target's environment
+		var pairs		= [],
+			viewport	= options.target.getViewport();
+		for(var i=0;i<options.points.length;i++) {
+			var expected	= options.target.getNormalizedPosition(options.points[i].x*viewport.width, options.points[i].y*viewport.height);
+			pairs.push({ x: expected.x, y: expected.y, rawX: rawPoints[i].x, rawY: rawPoints[i].y });
+		}
+
+		var matrix;
+		try {
+			matrix	= tuioJSONCalibrator.computeTransform(pairs, options.type);
+		} catch(e) {
+			// the touched positions do not allow a transform, e.g. since the same spot has been touched every time
+			current		= 0;
+			rawPoints	= [];
+			showCross(e+'. Please try again.');
+			return;
+		}
+		stop();
+
+		var calibration	= {
+			version:	1,
+			type:		options.type,
+			matrix:		matrix,
+			points:		pairs,
+			error:		tuioJSONCalibrator.getError(matrix, pairs),
+			created:	new Date().toISOString()
+		};
+		apply(calibration);
+		if (typeof options.onComplete == 'function') options.onComplete(calibration);
+	}
+
+	/**
+	 * stop
+	 * Removes the wizard and restores the parse() method of the target.
+	 */
+	function stop() {
+		options.target.parse	= originalParse;
+		originalParse			= null;
+		hideOverlay();
+	}
+
+	/**
+	 * apply
+	 * Applies a calibration to the target and stores it.
+	 */
+	function apply(calibration) {
+		var storage	= getStorage();
+		options.target.setCalibration(calibration);
+		if (storage) storage.setItem(options.storageKey, JSON.stringify(calibration));
+	}
+
+	/**
+	 * validate
+	 * Checks a calibration object before it is applied.
+	 */
+	function validate(calibration) {
+		var matrix	= calibration && calibration.matrix;
+		if (!matrix || matrix.length!=9) throw "Invalid calibration: 3x3 matrix required";
+		for(var i=0;i<9;i++) {
+			if (typeof matrix[i]!='number' || !isFinite(matrix[i])) throw "Invalid calibration: matrix contains no numbers";
+		}
+		return calibration;
+	}
+
+	/**
+	 * minimumPoints
+	 * Returns the number of points the transform type requires.
+	 */
+	function minimumPoints() {
+		return (options.type=='affine') ? 3 : 4;
+	}
+
+	/**
+	 * getStorage
+	 * Returns the storage object OR null if storing is disabled or not available.
+	 */
+	function getStorage() {
+		if (!options.storageKey) return null;
+		if (options.storage) return options.storage;
+		try {
+			return (typeof localStorage != 'undefined') ? localStorage : null;
+		} catch(e) {
+			// access to the localStorage is denied, e.g. for sandboxed frames
+			return null;
+		}
+	}
+
+	/**
+	 * showOverlay
+	 * Covers the page with the wizard, Escape cancels it.
+	 */
+	function showOverlay() {
+		overlay	= document.createElement('div');
+		overlay.style.cssText	= 'position:fixed;left:0;top:0;width:100%;height:100%;z-index:2147483647;background:rgba(0,0,0,0.85);color:#fff;font:16px sans-serif;';
+
+		label	= document.createElement('div');
+		label.style.cssText		= 'position:absolute;left:0;top:45%;width:100%;text-align:center;';
+		overlay.appendChild(label);
+
+		cross	= document.createElement('div');
+		cross.style.cssText		= 'position:absolute;width:40px;height:40px;margin:-20px 0 0 -20px;'+
+								  'background:linear-gradient(#fff,#fff) center/2px 100% no-repeat,linear-gradient(#fff,#fff) center/100% 2px no-repeat;';
+		overlay.appendChild(cross);
+
+		document.body.appendChild(overlay);
+		document.addEventListener('keydown', onKeyDown, false);
+	}
+
+	/**
+	 * showCross
+	 * Moves the cross to the current point.
+	 *
+	 * @param	notice		Optional text shown above the instructions, e.g. why the wizard restarted
+	 */
+	function showCross(notice) {
+		var point	= options.points[current];
+		cross.style.left	= (point.x*100)+'%';
+		cross.style.top		= (point.y*100)+'%';
+		label.textContent	= (notice ? notice+' ' : '')+'Touch the center of the cross ('+(current+1)+'/'+options.points.length+'), press Escape to cancel';
+	}
+
+	/**
+	 * hideOverlay
+	 * Removes the wizard from the page.
+	 */
+	function hideOverlay() {
+		document.removeEventListener('keydown', onKeyDown, false);
+		if (overlay && overlay.parentNode) overlay.parentNode.removeChild(overlay);
+		overlay	= cross = label = null;
+	}
+
+	/**
+	 * onKeyDown
+	 * Cancels the wizard on Escape.
+	 */
+	function onKeyDown(event) {
+		if (event.keyCode==27) self.cancel();
+	}
+
+	/**
+	 * extend()
+	 * Method from jQuery to inject data from one object into another
+	 */
+	function extend(){var a,b,c,d,e,f,g=arguments[0]||{},h=1,i=arguments.length,j=false;if(typeof g==="boolean"){j=g;g=arguments[1]||{};h=2}if(typeof g!=="object"&&!jQuery.isFunction(g)){g={}}if(i===h){g=this;--h}for(;h<i;h++){if((a=arguments[h])!=null){for(b in a){c=g[b];d=a[b];if(g===d){continue}if(j&&d&&(jQuery.isPlainObject(d)||(e=jQuery.isArray(d)))){if(e){e=false;f=c&&jQuery.isArray(c)?c:[]}else{f=c&&jQuery.isPlainObject(c)?c:{}}g[b]=jQuery.inject(j,f,d)}else if(d!==undefined){g[b]=d}}}}return g}
+
+	if (options.autoLoad) this.load();
+}
+
+/**
+ * tuioJSONCalibrator.computeTransform
+ * Computes the least squares transform that maps the raw positions (rawX, rawY) onto the
+ * expected ones (x, y).
+ *
+ * @param	pairs		Array of { x, y, rawX, rawY }, percental
+ * @param	type		'affine' or 'perspective'
+ * @return	the 3x3 matrix (row-major)
+ */
+tuioJSONCalibrator.computeTransform = function(pairs, type) {
+	var rows	= [],
+		values	= [];
+
+	for(var i=0;i<pairs.length;i++) {
+		var p	= pairs[i];
+		if (type=='affine') {
+			rows.push([p.rawX, p.rawY, 1, 0, 0, 0]);
+			rows.push([0, 0, 0, p.rawX, p.rawY, 1]);
+		} else {
+			rows.push([p.rawX, p.rawY, 1, 0, 0, 0, -p.x*p.rawX, -p.x*p.rawY]);
+			rows.push([0, 0, 0, p.rawX, p.rawY, 1, -p.y*p.rawX, -p.y*p.rawY]);
+		}
+		values.push(p.x, p.y);
+	}
+
+	var h	= tuioJSONCalibrator.solveLeastSquares(rows, values);
+	return (type=='affine') ? h.concat([0, 0, 1]) : h.concat([1]);
+}
+
+/**
+ * tuioJSONCalibrator.solveLeastSquares
+ * Solves the overdetermined linear system rows * h = values using the normal equations and
+ * a Gaussian elimination with partial pivoting.
+ *
+ * @param	rows		Array of the rows of the system's matrix
+ * @param	values		Array of the right hand side values
+ * @return	Array h
+ */
+tuioJSONCalibrator.solveLeastSquares = function(rows, values) {
+	var n	= rows[0].length,
+		a	= [];
+
+	// the normal equations (rows^T * rows | rows^T * values)
+	for(var i=0;i<n;i++) {
+		a[i]	= [];
+		for(var j=0;j<=n;j++) {
+			var sum	= 0;
+			for(var k=0;k<rows.length;k++) sum += rows[k][i] * (j<n ? rows[k][j] : values[k]);
+			a[i][j]	= sum;
+		}
+	}
+
+	for(var col=0;col<n;col++) {
+		var pivot	= col;
+		for(var row=col+1;row<n;row++) {
+			if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+		}
+		if (Math.abs(a[pivot][col]) < 1e-12) throw "Calibration points are degenerate, e.g. all on one line";
+		var swap	= a[col];
+		a[col]		= a[pivot];
+		a[pivot]	= swap;
+
+		for(var row=0;row<n;row++) {
+			if (row==col) continue;
+			var factor	= a[row][col] / a[col][col];
+			for(var j=col;j<=n;j++) a[row][j] -= factor * a[col][j];
+		}
+	}
+
+	var h	= [];
+	for(var i=0;i<n;i++) h.push(a[i][n] / a[i][i]);
+	return h;
+}
+
+/**
+ * tuioJSONCalibrator.getError
+ * Returns the root mean square distance between the mapped raw positions and the expected ones.
+ *
+ * @param	matrix		The 3x3 matrix (row-major)
+ * @param	pairs		Array of { x, y, rawX, rawY }, percental
+ * @return	the error, percental
+ */
+tuioJSONCalibrator.getError = function(matrix, pairs) {
+	var sum	= 0;
+	for(var i=0;i<pairs.length;i++) {
+		var p	= pairs[i],
+			w	= matrix[6]*p.rawX + matrix[7]*p.rawY + matrix[8],
+			dx	= (matrix[0]*p.rawX + matrix[1]*p.rawY + matrix[2]) / w - p.x,
+			dy	= (matrix[3]*p.rawX + matrix[4]*p.rawY + matrix[5]) / w - p.y;
+		sum	+= dx*dx + dy*dy;
+	}
+	return pairs.length ? Math.sqrt(sum / pairs.length) : 0;
+}
+
+if (typeof module == 'object' && module.exports) module.exports = tuioJSONCalibrator;
@@ -0,0 +1,305 @@
+/**
+ * tuioJSONConnection | MIT & BSD
+ *
+ * Owns the WebSocket connection to a tuioJSON server and passes every decoded message to a
+ * tuioJSONParser (or a TWFixor). Lost connections are re-established with an exponential
+ * backoff, and server specific handshakes (e.g. registering for the Touch & Write event stream)
+ * are done by pluggable handshake profiles.
+ *
+ *
+ * USAGE
+ *
+ * 		var connection	= new tuioJSONConnection({
+ * 			url:		'ws://127.0.0.1:8787/jWebSocket/jWebSocket',
+ * 			target:		new TWFixor({ tuioJSONParser: new tuioJSONParser() }),
+ * 			profile:	'touchandwrite'
+ * 		});
+ *
+ *
+ * EVENTS
+ *
+ * - tuiojsonready			is dispatched on the document as soon as the handshake is done
+ * - tuiojsondisconnected	is dispatched on the document if an established connection has been lost
+ *
+ * All active Touches, PenPoints and gestures are cancelled if the connection is lost.
+ *
+ *
+ * HANDSHAKE PROFILES
+ *
+ * A profile is an object with the optional methods
+ *
+ * - open(connection, ready, profileOptions)	called as soon as the socket is open, has to call ready() when done
+ * - close(connection, profileOptions)			called before the connection is closed intentionally
+ * - filter(message)							return false to keep a (protocol) message from being parsed
+ *
+ * and can be registered in tuioJSONConnection.profiles.
+ */
+function tuioJSONConnection(options) {
+
+	options = extend({
+		/* the URL of the WebSocket server */
+		url: 'ws://127.0.0.1:8787/tuioServer/socket',
+		/* the object whose parse() method receives the messages, e.g. a tuioJSONParser or a TWFixor */
+		target: undefined,
+		/* the handshake profile, either the name of a profile in tuioJSONConnection.profiles or a profile object */
+		profile: 'none',
+		/* options that are passed to the handshake profile, e.g. { utid: 3 } for 'touchandwrite' */
+		profileOptions: {},
+		/* if set to true, the connection will be established immediately */
+		autoConnect: true,
+		/* if set to true, lost connections will be re-established */
+		reconnect: true,
+		/* delay in ms before the first reconnect attempt, doubled (see reconnectFactor) with every failed attempt */
+		reconnectDelay: 500,
+		reconnectFactor: 2,
+		/* maximum delay in ms between two reconnect attempts */
+		maxReconnectDelay: 30000,
+		/* if set to true, all active contacts of the parser will be cancelled if the connection is lost */
+		cancelOnDisconnect: true,
+		/* optional decoder for binary messages, e.g. a tuioOSCDecoder, that passes the decoded messages to the target itself */
+		decoder: null,
+		/* the WebSocket class to use, defaults to the browser's WebSocket */
+		WebSocket: undefined,
+		/* if set to true, the script will output a lot of information to the console */
+		verboseMode: false
+	},options);
+
+	if (!options.target) throw "No target object found";
+
+	var profile	= (typeof options.profile == 'string') ? tuioJSONConnection.profiles[options.profile] : options.profile;
+	if (!profile) throw "Unknown handshake profile "+options.profile;
+
+	// the current WebSocket object
+	var socket				= null;
+
+	// flags whether the handshake is done and whether the connection shall be kept alive
+	var ready				= false,
+		keepAlive			= false;
+
+	// the number of failed reconnect attempts and the timeout of the next one
+	var reconnectAttempts	= 0,
+		reconnectTimeout	= null;
+
+	// reference to this
+	var self				= this;
+
+	/**
+	 * @public connect
+	 * Opens the connection, if not yet open.
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.connect = function() {
+		keepAlive	= true;
+		if (socket) return;
+		if (reconnectTimeout) {
+			clearTimeout(reconnectTimeout);
+			reconnectTimeout	= null;
+		}
+
+		var SocketClass	= options.WebSocket || WebSocket;
+		log("Connecting to "+options.url);
+		socket			= new SocketClass(options.url);
+		socket.binaryType	= 'arraybuffer';
+		socket.onopen	= onOpen;
+		socket.onmessage= onMessage;
+		socket.onclose	= onClose;
+		socket.onerror	= function(){ log("WebSocket error"); };
+	}
+
+	/**
+	 * @public disconnect
+	 * Closes the connection intentionally, no reconnect will be attempted.
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.disconnect = function() {
+		keepAlive	= false;
+		if (reconnectTimeout) {
+			clearTimeout(reconnectTimeout);
+			reconnectTimeout	= null;
+		}
+		if (!socket) return;
+		if (ready && profile.close) profile.close(self, options.profileOptions);
+		socket.close();
+	}
+
+	/**
+	 * @public send
+	 * Sends data to the server. Nothing is sent (or queued) while the connection is not open.
+	 *
+	 * @param	data	A string, or an object that will be JSON encoded
+	 * @return	TRUE if the data has been sent, FALSE if the connection is not open
+	 */
+	this.send = function(data) {
+		if (!socket || socket.readyState!=1) return false;
+		socket.send((typeof data == 'string') ? data : JSON.stringify(data));
+		return true;
+	}
+
+	/**
+	 * @public isReady
+	 *
+	 * @param	-		-
+	 * @return	TRUE if the connection is open and the handshake is done
+	 */
+	this.isReady = function() {
+		return ready;
+	}
+
+	/**
+	 * @public getSocket
+	 *
+	 * @param	-		-
+	 * @return	the current WebSocket object OR null
+	 */
+	this.getSocket = function() {
+		return socket;
+	}
+
+	/**
+	 * onOpen
+	 * Runs the handshake of the profile as soon as the socket is open.
+	 */
+	function onOpen() {
+		log("Connected to "+options.url);
+		reconnectAttempts	= 0;
+		if (profile.open) profile.open(self, handshakeDone, options.profileOptions);
+		else handshakeDone();
+	}
+
+	/**
+	 * handshakeDone
+	 * Marks the connection as ready and informs the app.
+	 */
+	function handshakeDone() {
+		ready	= true;
+		log("tuioJSON is ready");
+		dispatch('tuiojsonready');
+	}
+
+	/**
+	 * onMessage
+	 * Decodes a message and passes it to the target, binary messages are passed to the decoder.
+	 */
+	function onMessage(msg) {
+		if (typeof msg.data != 'string') {
+			if (options.decoder) options.decoder.decode(msg.data);
+			else log("Dropping binary message, no decoder given");
+			return;
+		}
+
+		var message;
+		try {
+			message	= JSON.parse(msg.data);
+		} catch(e) {
+			log("Dropping message that is no valid JSON", msg.data);
+			return;
+		}
+		if (profile.filter && profile.filter(message)===false) return;
+		options.target.parse(message);
+	}
+
+	/**
+	 * onClose
+	 * Cleans up after the socket has been closed and schedules a reconnect if required.
+	 */
+	function onClose() {
+		var wasReady	= ready;
+		socket			= null;
+		ready			= false;
+
+		if (wasReady) {
+			log("Disconnected from "+options.url);
+			if (options.cancelOnDisconnect) cancelActiveContacts();
+			dispatch('tuiojsondisconnected');
+		}
+
+		if (keepAlive && options.reconnect) {
+			var delay	= Math.min(options.reconnectDelay*Math.pow(options.reconnectFactor, reconnectAttempts), options.maxReconnectDelay);
+			reconnectAttempts++;
+			log("Reconnecting in "+delay+"ms");
+			reconnectTimeout	= setTimeout(function(){
+				reconnectTimeout	= null;
+				self.connect();
+			}, delay);
+		}
+	}
+
+	/**
+	 * cancelActiveContacts
+	 * Cancels all active contacts of the target, if it is (or wraps) a tuioJSONParser.
+	 */
+	function cancelActiveContacts() {
+		var target	= options.target;
+		if (typeof target.cancelAll == 'function') target.cancelAll();
+		else if (typeof target.getParser == 'function') target.getParser().cancelAll();
+	}
+
+	/**
+	 * dispatch
+	 * Dispatches a custom event on the document, if there is one.
+	 */
+	function dispatch(eventName) {
+		if (typeof document == 'undefined') return;
+		var event	= document.createEvent('CustomEvent');
+		event.initCustomEvent(eventName, true, true, 1);
+		document.dispatchEvent(event);
+	}
+
+	/**
+	 * log
+	 * Output a set of values to the console, if verbose mode is active
+	 */
+	function log() {
+		if (options.verboseMode) console.log.apply(console, arguments);
+	}
+
+	/**
+	 * extend()
+	 * Method from jQuery to inject data from one object into another
+	 */
+	function extend(){var a,b,c,d,e,f,g=arguments[0]||{},h=1,i=arguments.length,j=false;if(typeof g==="boolean"){j=g;g=arguments[1]||{};h=2}if(typeof g!=="object"&&!jQuery.isFunction(g)){g={}}if(i===h){g=this;--h}for(;h<i;h++){if((a=arguments[h])!=null){for(b in a){c=g[b];d=a[b];if(g===d){continue}if(j&&d&&(jQuery.isPlainObject(d)||(e=jQuery.isArray(d)))){if(e){e=false;f=c&&jQuery.isArray(c)?c:[]}else{f=c&&jQuery.isPlainObject(c)?c:{}}g[b]=jQuery.inject(j,f,d)}else if(d!==undefined){g[b]=d}}}}return g}
+
+	/**
+	 * close the connection properly when the page is left
+	 */
+	if (typeof window != 'undefined' && window.addEventListener) {
+		window.addEventListener('unload', function(){ self.disconnect(); }, false);
+	}
+
+	if (options.autoConnect) this.connect();
+}
+
+/**
+ * tuioJSONConnection.profiles
+ * The available handshake profiles.
+ */
+tuioJSONConnection.profiles = {
+
+	/* servers that start streaming right away */
+	'none': {},
+
+	/* the Touch & Write Server (http://touchandwrite.de) streams after registering for the 'touchandwriteevents' stream */
+	'touchandwrite': {
+		open: function(connection, ready, profileOptions) {
+			connection.send(this.message('register', profileOptions));
+			ready();
+		},
+		close: function(connection, profileOptions) {
+			connection.send(this.message('unregister', profileOptions));
+		},
+		message: function(type, profileOptions) {
+			var message	= { ns: 'de.dfki.touchandwrite.streaming', type: type, stream: 'touchandwriteevents' };
+			if (profileOptions && profileOptions.utid!==undefined) message.utid = profileOptions.utid;
+			return message;
+		},
+		filter: function(message) {
+			return message.type!='welcome' && message.type!='response';
+		}
+	}
+};
+
+if (typeof module == 'object' && module.exports) module.exports = tuioJSONConnection;
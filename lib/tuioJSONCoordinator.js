@@ -0,0 +1,382 @@
+/**
+ * tuioJSONCoordinator | MIT & BSD
+ *
+ * Routes the input to one of several browser instances (tabs or windows of the same origin)
+ * that are connected to the same tuioJSON server. The instances elect the active one via a
+ * BroadcastChannel (or localStorage events in older browsers); all others are paused using the
+ * parser's stop() method, so that a touch on the table is processed only once.
+ *
+ *
+ * USAGE
+ *
+ * 		var coordinator	= new tuioJSONCoordinator({ target: parser, policy: 'focus' });
+ *
+ * Optionally, a SharedWorker holds the only WebSocket connection and passes the messages to the
+ * active instance (no tuioJSONConnection required then):
+ *
+ * 		var coordinator	= new tuioJSONCoordinator({
+ * 			target:			parser,
+ * 			sharedWorker:	'lib/tuioJSONSharedWorker.js',
+ * 			url:			'ws://127.0.0.1:8787/tuioServer/socket'
+ * 		});
+ *
+ *
+ * ELECTION
+ *
+ * An instance claims to be active as soon as it gets the focus ('focus' policy), becomes visible
+ * ('visibility' policy) or claim() is called ('claim' policy). The latest claim wins. The active
+ * instance sends a heartbeat; if it is closed or its heartbeat stops, the remaining instances
+ * claim again (with the 'focus' and 'visibility' policy only those that are focused/visible).
+ *
+ *
+ * EVENTS
+ *
+ * - tuiojsonactivate		is dispatched on the document as soon as this instance has become active
+ * - tuiojsondeactivate		is dispatched on the document as soon as this instance has been paused
+ */
+function tuioJSONCoordinator(options) {
+
+	options = extend({
+		/* the tuioJSONParser to pause and continue */
+		target: undefined,
+		/* what makes an instance claim to be active: 'focus', 'visibility' or 'claim' (explicit claim() calls, or no active instance) */
+		policy: 'focus',
+		/* the name of the channel the instances communicate on */
+		channelName: 'tuioJSONCoordinator',
+		/* interval in ms of the heartbeat of the active instance */
+		heartbeatInterval: 1000,
+		/* time in ms without heartbeat after which the active instance is assumed to be gone */
+		heartbeatTimeout: 3000,
+		/* if set to true, active contacts are cancelled before an instance is paused */
+		cancelOnDeactivate: true,
+		/* optional URL of the tuioJSONSharedWorker script, that holds the only WebSocket connection */
+		sharedWorker: null,
+		/* the URL of the WebSocket server, if a sharedWorker is used */
+		url: 'ws://127.0.0.1:8787/tuioServer/socket',
+		/* messages the sharedWorker sends to the server after every (re)connect, e.g. to register for the stream */
+		connectMessages: [],
+		/* the object whose parse() method receives the messages of the sharedWorker, defaults to the target */
+		receiver: undefined,
+		/* optional decoder for binary messages of the sharedWorker, e.g. a tuioOSCDecoder */
+		decoder: null,
+		/* if set to true, the script will output a lot of information to the console */
+		verboseMode: false
+	},options);
+
+	if (!options.target) throw "No target object found";
+
+	// the unique identifier of this instance
+	var id			= Math.random().toString(36).substr(2)+(new Date()/1).toString(36);
+
+	// whether this instance is active and the claim it has become active with
+	var active		= null,
+		ownClaim	= null;
+
+	// the latest claim of any instance, and the time the last heartbeat of the active instance arrived
+	var lastClaim		= null,
+		lastHeartbeat	= 0;
+
+	// the transport (BroadcastChannel or localStorage), the heartbeat interval and the SharedWorker port
+	var channel		= null,
+		heartbeat	= null,
+		port		= null;
+
+	// reference to this
+	var self		= this;
+
+	/**
+	 * @public claim
+	 * Makes this instance the active one and pauses all others.
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.claim = function() {
+		ownClaim	= { id: id, time: new Date()/1 };
+		lastClaim	= ownClaim;
+		post({ type: 'claim', claim: ownClaim });
+		setActive(true);
+	}
+
+	/**
+	 * @public release
+	 * Pauses this instance, if active, and lets the others claim.
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.release = function() {
+		if (!active) return;
+		post({ type: 'release', id: id });
+		lastClaim	= null;
+		setActive(false);
+	}
+
+	/**
+	 * @public isActive
+	 *
+	 * @param	-		-
+	 * @return	TRUE if this instance is the active one
+	 */
+	this.isActive = function() {
+		return !!active;
+	}
+
+	/**
+	 * @public getId
+	 *
+	 * @param	-		-
+	 * @return	the identifier of this instance
+	 */
+	this.getId = function() {
+		return id;
+	}
+
+	/**
+	 * @public destroy
+	 * Leaves the election, e.g. before the page is left. The target stays as it is.
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.destroy = function() {
+		this.release();
+		clearInterval(heartbeat);
+		if (port) port.postMessage({ type: 'close' });
+		if (channel) channel.close();
+		channel	= port = null;
+		if (typeof window != 'undefined' && window.removeEventListener) {
+			window.removeEventListener('focus', onFocus, false);
+			window.removeEventListener('pagehide', onPageHide, false);
+			window.removeEventListener('storage', onStorage, false);
+		}
+		if (typeof document != 'undefined' && document.removeEventListener) {
+			document.removeEventListener('visibilitychange', onVisibilityChange, false);
+		}
+	}
+
+	/**
+	 * setActive
+	 * Continues or pauses the target and informs the app and the SharedWorker.
+	 */
+	function setActive(isActive) {
+		if (active===isActive) return;
+		active	= isActive;
+
+		var target	= options.target;
+		if (active) {
+			log("tuioJSON instance "+id+" is active");
+			target.continue();
+			if (port) port.postMessage({ type: 'activate' });
+			sendHeartbeat();
+		} else {
+			log("tuioJSON instance "+id+" is paused");
+			if (options.cancelOnDeactivate && typeof target.cancelAll == 'function') target.cancelAll();
+			target.stop();
+		}
+		dispatch(active ? 'tuiojsonactivate' : 'tuiojsondeactivate');
+	}
+
+	/**
+	 * onMessage
+	 * Handles the messages of the other instances.
+	 */
+	function onMessage(message) {
+		if (!message || message.id===id || (message.claim && message.claim.id===id)) return;
+
+		switch(message.type) {
+			case 'claim':
+				if (isLater(message.claim, lastClaim)) {
+					lastClaim		= message.claim;
+					lastHeartbeat	= new Date()/1;
+					setActive(false);
+				}
+				break;
+
+			case 'heartbeat':
+				if (lastClaim && message.claim.id===lastClaim.id) {
+					lastHeartbeat	= new Date()/1;
+				} else if (isLater(message.claim, lastClaim)) {
+					// a claim we have missed, e.g. since we have been opened later
+					lastClaim		= message.claim;
+					lastHeartbeat	= new Date()/1;
+					setActive(false);
+				} else if (active) {
+					// two instances consider themselves active, the later claim wins
+					post({ type: 'claim', claim: ownClaim });
+				}
+				break;
+
+			case 'release':
+				if (lastClaim && message.id===lastClaim.id) {
+					lastClaim	= null;
+					claimIfEligible();
+				}
+				break;
+		}
+	}
+
+	/**
+	 * isLater
+	 * Compares two claims, ties are broken by the identifier, so that every instance elects the same.
+	 */
+	function isLater(claim, than) {
+		if (!than) return true;
+		return claim.time>than.time || (claim.time==than.time && claim.id>than.id);
+	}
+
+	/**
+	 * sendHeartbeat
+	 * Informs the others that the active instance is still there, checks the active one otherwise.
+	 */
+	function sendHeartbeat() {
+		if (active) {
+			post({ type: 'heartbeat', claim: ownClaim });
+		} else if (new Date()/1-lastHeartbeat>options.heartbeatTimeout) {
+			lastClaim	= null;
+			claimIfEligible();
+		}
+	}
+
+	/**
+	 * claimIfEligible
+	 * Claims if the policy allows this instance to become active.
+	 */
+	function claimIfEligible() {
+		if (isEligible()) self.claim();
+	}
+
+	/**
+	 * isEligible
+	 * Checks whether this instance may become active without an explicit claim.
+	 */
+	function isEligible() {
+		if (typeof document == 'undefined') return true;
+		switch(options.policy) {
+			case 'focus':		return document.hasFocus ? document.hasFocus() : true;
+			case 'visibility':	return document.visibilityState ? document.visibilityState=='visible' : true;
+			default:			return true;
+		}
+	}
+
+	function onFocus() {
+		if (options.policy=='focus' && !active) self.claim();
+	}
+
+	function onVisibilityChange() {
+		if (options.policy=='visibility' && document.visibilityState=='visible' && !active) self.claim();
+	}
+
+	function onPageHide() {
+		self.destroy();
+	}
+
+	/**
+	 * post
+	 * Sends a message to the other instances.
+	 */
+	function post(message) {
+		message.id	= message.id || id;
+		if (channel) {
+			channel.postMessage(message);
+		} else if (typeof localStorage != 'undefined') {
+			try {
+				// the storage event is fired in the other instances only, and only if the value changes
+				localStorage.setItem(options.channelName, JSON.stringify({ message: message, nonce: Math.random() }));
+			} catch(e) {
+				log("Cannot reach the other instances", e);
+			}
+		}
+	}
+
+	/**
+	 * onStorage
+	 * Receives the messages of the other instances if there is no BroadcastChannel.
+	 */
+	function onStorage(event) {
+		if (event.key!=options.channelName || !event.newValue) return;
+		try {
+			onMessage(JSON.parse(event.newValue).message);
+		} catch(e) {
+			log("Dropping invalid coordination message", event.newValue);
+		}
+	}
+
+	/**
+	 * connectSharedWorker
+	 * Connects to the SharedWorker that holds the WebSocket connection and passes its messages on.
+	 */
+	function connectSharedWorker() {
+		var worker	= new SharedWorker(options.sharedWorker, options.channelName);
+		port		= worker.port;
+		port.onmessage	= function(event) {
+			var data		= event.data,
+				receiver	= options.receiver || options.target;
+			if (typeof data != 'string') {
+				if (options.decoder) options.decoder.decode(data);
+				return;
+			}
+			var message;
+			try {
+				message	= JSON.parse(data);
+			} catch(e) {
+				log("Dropping message that is no valid JSON", data);
+				return;
+			}
+			receiver.parse(message);
+		}
+		port.start();
+		port.postMessage({ type: 'connect', url: options.url, connectMessages: options.connectMessages });
+	}
+
+	/**
+	 * dispatch
+	 * Dispatches a custom event on the document, if there is one.
+	 */
+	function dispatch(eventName) {
+		if (typeof document == 'undefined') return;
+		var event	= document.createEvent('CustomEvent');
+		event.initCustomEvent(eventName, true, true, 1);
+		document.dispatchEvent(event);
+	}
+
+	/**
+	 * log
+	 * Output a set of values to the console, if verbose mode is active
+	 */
+	function log() {
+		if (options.verboseMode) console.log.apply(console, arguments);
+	}
+
+	/**
+	 * extend()
+	 * Method from jQuery to inject data from one object into another
+	 */
+	function extend(){var a,b,c,d,e,f,g=arguments[0]||{},h=1,i=arguments.length,j=false;if(typeof g==="boolean"){j=g;g=arguments[1]||{};h=2}if(typeof g!=="object"&&!jQuery.isFunction(g)){g={}}if(i===h){g=this;--h}for(;h<i;h++){if((a=arguments[h])!=null){for(b in a){c=g[b];d=a[b];if(g===d){continue}if(j&&d&&(jQuery.isPlainObject(d)||(e=jQuery.isArray(d)))){if(e){e=false;f=c&&jQuery.isArray(c)?c:[]}else{f=c&&jQuery.isPlainObject(c)?c:{}}g[b]=jQuery.inject(j,f,d)}else if(d!==undefined){g[b]=d}}}}return g}
+
+	/**
+	 * join the election
+	 */
+	if (typeof BroadcastChannel == 'function') {
+		channel	= new BroadcastChannel(options.channelName);
+		channel.onmessage	= function(event){ onMessage(event.data); };
+	}
+	if (typeof window != 'undefined' && window.addEventListener) {
+		window.addEventListener('focus', onFocus, false);
+		window.addEventListener('pagehide', onPageHide, false);
+		if (!channel) window.addEventListener('storage', onStorage, false);
+	}
+	if (typeof document != 'undefined' && document.addEventListener) {
+		document.addEventListener('visibilitychange', onVisibilityChange, false);
+	}
+	if (options.sharedWorker) connectSharedWorker();
+
+	// paused until elected, an eligible instance claims right away, the others wait for a heartbeat
+	active	= false;
+	options.target.stop();
+	lastHeartbeat	= new Date()/1;
+	if (isEligible() && options.policy!='claim') this.claim();
+	heartbeat	= setInterval(sendHeartbeat, options.heartbeatInterval);
+}
+
+if (typeof module == 'object' && module.exports) module.exports = tuioJSONCoordinator;
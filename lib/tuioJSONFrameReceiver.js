@@ -0,0 +1,81 @@
+/**
+ * tuioJSONFrameReceiver | MIT & BSD
+ *
+ * Receives the messages a tuioJSONParser of the embedding page passes into a cross-origin iframe
+ * (see its dispatchIntoFrames option) and feeds them into a tuioJSONParser inside the frame, so
+ * that the events are dispatched on the frame's elements. Same-origin frames do not need it.
+ *
+ *
+ * USAGE (inside the frame)
+ *
+ * 		var receiver	= new tuioJSONFrameReceiver({
+ * 			target:		new tuioJSONParser(),
+ * 			origins:	[ 'https://table.example.com' ]
+ * 		});
+ *
+ * The positions are percental to the frame's viewport already, so the parser inside the frame
+ * has to use the default coordinate options.
+ */
+function tuioJSONFrameReceiver(options) {
+
+	options = extend({
+		/* the object whose parse() method receives the messages, e.g. a tuioJSONParser */
+		target: undefined,
+		/* the origins of the embedding pages that may send input ('*' for any), required */
+		origins: null
+	},options);
+
+	if (!options.target) throw "No target object found";
+	// never accept synthetic input from any page without being told so
+	if (!options.origins || !options.origins.length) throw "No origins given";
+
+	/**
+	 * @public destroy
+	 * Stops receiving messages.
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.destroy = function() {
+		window.removeEventListener('message', onMessage, false);
+	}
+
+	/**
+	 * onMessage
+	 * Passes the messages of the embedding page to the target.
+	 */
+	function onMessage(event) {
+		var data	= event.data;
+		if (event.source!==window.parent || !isAllowed(event.origin) || !data || typeof data != 'object') return;
+
+		if (data.tuioJSONCancel) {
+			if (typeof options.target.cancelAll == 'function') options.target.cancelAll();
+		} else if (data.tuioJSON) {
+			options.target.parse(data.tuioJSON);
+		}
+	}
+
+	/**
+	 * isAllowed
+	 * Checks the origin of a message against the origins option.
+	 */
+	function isAllowed(origin) {
+		var origins	= options.origins;
+		if (origins=='*') return true;
+		if (typeof origins == 'string') origins = [origins];
+		for(var i=0;i<origins.length;i++) {
+			if (origins[i]==origin) return true;
+		}
+		return false;
+	}
+
+	/**
+	 * extend()
+	 * Method from jQuery to inject data from one object into another
+	 */
+	function extend(){var a,b,c,d,e,f,g=arguments[0]||{},h=1,i=arguments.length,j=false;if(typeof g==="boolean"){j=g;g=arguments[1]||{};h=2}if(typeof g!=="object"&&!jQuery.isFunction(g)){g={}}if(i===h){g=this;--h}for(;h<i;h++){if((a=arguments[h])!=null){for(b in a){c=g[b];d=a[b];if(g===d){continue}if(j&&d&&(jQuery.isPlainObject(d)||(e=jQuery.isArray(d)))){if(e){e=false;f=c&&jQuery.isArray(c)?c:[]}else{f=c&&jQuery.isPlainObject(c)?c:{}}g[b]=jQuery.inject(j,f,d)}else if(d!==undefined){g[b]=d}}}}return g}
+
+	window.addEventListener('message', onMessage, false);
+}
+
+if (typeof module == 'object' && module.exports) module.exports = tuioJSONFrameReceiver;
@@ -27,17 +27,17 @@
  * 
  * - the unique identifier of Touches, PenPoints, etc. are not maintained by this parser and thus
  * 	 have to be maintained by the server or any filter prepended to this parser
- * - all incoming messages are tuioJSON protocol valid
+ * - all incoming messages are tuioJSON protocol valid, unless the validateMessages option is set
  *
  * 
  * DEVIATIONS FROM THE W3C DRAFT
  * 
- * - Attribute relatedTarget of TouchEvent specification is being ignored and always set to null
- * - Touch events touchenter and touchleave are not implemented
- * - changedTouches arrays of Touch events are simplified for sake of simplicity
- * - Not triggering Mouse Events, if on the corresponding Touch event the preventDefault() method
- *   is called, is not implemented
- * - The method 'identifiedTouch' of TouchList is not implemented for speed optimization reasons
+ * - Attribute relatedTarget of TouchEvent specification is only set for touchenter and touchleave events
+ * - touchenter and touchleave are dispatched on the entered/left element only, not on its ancestors
+ * - changedTouches arrays of Touch events only contain more than one Touch if the server groups
+ *   messages into frames, either by a frame sequence number (fseq) or by 'bundle' messages
+ * - TouchLists and PenPointLists are Arrays extended by item() and identifiedTouch(), they are
+ *   read-only snapshots and must not be modified
  *
  *
  * TO DO
@@ -51,7 +51,7 @@
  */
 function tuioJSONParser(options) {
 
-	options = extend({
+	options = extendOptions({
 		/* if set to true, critical errors will throw an exception */
 		throwErrors: true,
 		/* if set to true, the script will output a lot of information to the console */
@@ -60,16 +60,86 @@ function tuioJSONParser(options) {
 		useBrowserRelativeCoordinates: false,
 		/* if set to true, the coordinateCalibration object will be used */
 		useCoordinateCalibration: false,
+		/* a calibration transform { type, matrix } (e.g. created by the tuioJSONCalibrator) that maps the percental coordinates before they are translated */
+		calibration: null,
+		/* clockwise rotation in degrees (0, 90, 180 or 270) of the tracker's coordinates, e.g. for tables used from another side */
+		surfaceRotation: 0,
+		/* if set to true, the tracker's coordinates will be mirrored horizontally/vertically, e.g. for rear-mounted projectors */
+		flipX: false,
+		flipY: false,
+		/* the percental sub-rectangle { x, y, width, height } of the tracker area that is mapped onto the viewport, null maps the whole area */
+		surfaceRegion: null,
+		/* what to do with contacts outside the surfaceRegion: 'ignore' them or 'clamp' them to its border */
+		outsideRegion: 'ignore',
 		/* if set to true, start messages will be fired before firing change messages that do not have a preluding start message */
 		fixStartEventLack: true,
+		/* time in ms after which a frame (fseq) that has not been completed by a frame message or a message of another frame is dispatched anyway */
+		frameTimeout: 0,
 		/* if set to true, Pen messages won't be interpreted like Touch inputs, but interpreted as mouse */
 		singlePenMode: false,
+		/* if set to true, every incoming message will be checked against the tuioJSON protocol definition */
+		validateMessages: false,
+		/* what to do with invalid messages: 'drop' them, 'repair' them if possible or 'pass' them to the parser anyway */
+		invalidMessageMode: 'drop',
+		/* optional callback function(errors, message) that is called for every invalid message */
+		onInvalidMessage: null,
+		/* time in ms after which Touches, PenPoints, objects and gestures without any update will be cancelled, 0 disables the watchdog */
+		staleContactTimeout: 0,
+		/* time span in ms of the position history per Touch/PenPoint that velocity and acceleration are calculated from */
+		motionHistoryTime: 100,
+		/* how the target of a gesture is resolved: 'same' element under all touches, their nearest common 'ancestor' or the element under the 'pivot' */
+		gestureTargetMode: 'same',
+		/* if set to true, scale, rotate and drag gestures will be recognized from the Touches on each element */
+		recognizeGestures: false,
+		/* the thresholds a recognized gesture has to exceed before it starts */
+		gestureRecognition: {
+			dragThreshold:		10,		/* translation of the Touches' centroid in pixels */
+			scaleThreshold:		0.05,	/* relative change of the Touches' distance to their centroid */
+			rotateThreshold:	5		/* rotation of the Touches around their centroid in degrees */
+		},
+		/* if set to true, tap, doubletap, longpress and swipe events will be dispatched */
+		recognizeTaps: false,
+		/* the limits of tap, doubletap, longpress and swipe recognition */
+		tapRecognition: {
+			tapMaxDistance:		10,		/* pixels a Touch may move during a tap or long press */
+			tapMaxDuration:		300,	/* ms from the first touchstart to the last touchend of a tap */
+			doubleTapInterval:	300,	/* maximum ms between the two taps of a double tap */
+			doubleTapDistance:	30,		/* maximum distance in pixels between the two taps of a double tap */
+			longPressDuration:	500,	/* ms the Touches have to rest before longpress is dispatched */
+			swipeMinDistance:	50,		/* minimum distance in pixels the Touches have to move for a swipe */
+			swipeMinVelocity:	300		/* minimum mean velocity in pixels per second of a swipe */
+		},
+		/* if set to true, Touches scroll the nearest scrollable ancestor of their target like native touches do, unless prevented */
+		emulateScrolling: false,
+		/* the behaviour of emulated scrolling */
+		scrollEmulation: {
+			threshold:			10,		/* pixels a Touch has to move before it starts scrolling */
+			momentum:			true,	/* if set to true, the scrolling continues and decelerates after the Touch has been lifted */
+			minVelocity:		100,	/* minimum velocity in pixels per second of a lifted Touch to start momentum scrolling */
+			timeConstant:		325		/* ms in which the velocity of momentum scrolling decays to 37% */
+		},
+		/* if set to true, enter and leave events will be fired while Touches and PenPoints move across elements */
+		fireEnterLeaveEvents: true,
+		/* 'touch' dispatches Touch (and Pen) events, 'pointer' dispatches W3C PointerEvents instead, 'both' dispatches both */
+		outputMode: 'touch',
+		/* if set to false, no DOM events will be created and no hit testing will be done, use on() to receive the input */
+		dispatchDOMEvents: true,
+		/* if set to true, contacts starting on an iframe are dispatched inside the frame, cross-origin frames need the tuioJSONFrameReceiver */
+		dispatchIntoFrames: false,
+		/* the origin cross-origin frames must have to receive messages ('*' for any), no input is passed into cross-origin frames unless set */
+		frameTargetOrigin: null,
+		/* adapters to the environment the parser runs in, overriding those of BrowserEnvironment() or HeadlessEnvironment() */
+		environment: {},
 		/* Using the following object, you can define what events will be triggered via Touch */
 		touch: {
 			startName:			'touchstart',
 			moveName:			'touchmove',
 			endName:			'touchend',
-			/* if set to true, a touchstart-touchend sequence (no touchmoves) will trigger Mouse Move, Down, Up, Click Event */
+			cancelName:			'touchcancel',
+			enterName:			'touchenter',
+			leaveName:			'touchleave',
+			/* if set to true, a touchstart-touchend sequence (no touchmoves) will trigger Mouse Move, Down, Up, Click Event,
+			   unless preventDefault() has been called on the touchstart or touchend event */
 			triggerMouseClick:	true
 		},
 		/* Using the following object, you can define what events will be triggered via Pen Points */
@@ -77,9 +147,20 @@ function tuioJSONParser(options) {
 			startName:	'mousedown',
 			moveName:	'mousemove',
 			endName:	'mouseup',
+			cancelName:	'pencancel',
+			enterName:	'penenter',
+			leaveName:	'penleave',
 			/* if set to true, a penstart-penend sequence (no penmove) will trigger Mouse Move, Down, Up, Click Event */
 			triggerMouseClick:	true
 		},
+		/* Using the following object, you can define what events will be triggered via tangible objects */
+		object: {
+			startName:	'objectstart',
+			moveName:	'objectmove',
+			rotateName:	'objectrotate',
+			endName:	'objectend',
+			cancelName:	'objectcancel'
+		},
 		/* Using the following object, you can define where the origin lies in pixels */
 		coordinateOrigin: {
 			x: 0,    /* in pixels */
@@ -93,13 +174,18 @@ function tuioJSONParser(options) {
 			drag: false,
 			pen: false,
 			shape: false,
-			handwriting: false
+			handwriting: false,
+			symbol: false,
+			object: false
 		}
 	},options);
 	
 	// Reference to the 'this' object
 	var self;
 	
+	// The adapters to the browser (or any other environment) the parser runs in
+	var environment	= createEnvironment(options.environment);
+	
 	// Flag whether message parsing shall be done
 	var processMessages	= true;
 		
@@ -115,6 +201,9 @@ function tuioJSONParser(options) {
 		// store a reference to this
 		self					= this;
 		
+		// only extend the Document if there is one
+		if (typeof document == 'undefined') return;
+		
 		// extend the Document as the W3C describes
 		document.createTouch	= function(view, target, identifier, pageX, pageY, screenX, screenY, radiusX, radiusY, rotationAngle, force) {
 			return new Touch({
@@ -132,12 +221,11 @@ function tuioJSONParser(options) {
 			});
 		}
 		document.createTouchList= function(touches) {
-			if (typeof touches == 'object' && touches.length!=undefined) return touches;
-			else if (typeof touches == 'object') {
-				var list	= TouchList();
-				list.push(touches);
-				return list;
-			} else return TouchList();
+			if (arguments.length>1) return TouchList(arguments);
+			else if (touches && typeof touches == 'object' && touches.identifiedTouch) return touches;
+			else if (touches && typeof touches == 'object' && touches.length!=undefined) return TouchList(touches);
+			else if (touches && typeof touches == 'object') return TouchList([touches]);
+			else return TouchList();
 		}
 		
 		// extend the Document in analogy to the previous Touch extensions
@@ -153,15 +241,14 @@ function tuioJSONParser(options) {
 			});
 		}
 		document.createPenPointList= function(penPoints) {
-			if (typeof penPoints == 'object' && penPoints.length!=undefined) return penPoints;
-			else if (typeof penPoints == 'object') {
-				var list	= PenPointList();
-				list.push(penPoints);
-				return list;
-			} else return PenPointList();
+			if (arguments.length>1) return PenPointList(arguments);
+			else if (penPoints && typeof penPoints == 'object' && penPoints.identifiedTouch) return penPoints;
+			else if (penPoints && typeof penPoints == 'object' && penPoints.length!=undefined) return PenPointList(penPoints);
+			else if (penPoints && typeof penPoints == 'object') return PenPointList([penPoints]);
+			else return PenPointList();
 		}
 		
-	})();
+	}).call(this);
 		
 	/**
 	 * @public parse
@@ -177,28 +264,9 @@ function tuioJSONParser(options) {
 		 * process the message if message processing has not been stopped via the stop() method
 		 */
 		if (processMessages) {
-			switch(message.type) {
-			
-				case 'touch':
-					success = options.dontParse.touch || parseTouchMessage(message);
-					break;
-				
-				case 'gesture':
-					success = options.dontParse.gesture || parseGestureMessage(message);
-					break;
-				
-				case 'pen':
-					success = options.dontParse.pen || parsePenMessage(message);
-					break;
-				
-				case 'shape':
-					success = options.dontParse.shape || parseShapeMessage(message);
-					break;
-				
-				case 'handwriting':				
-					success = options.dontParse.handwriting || parseHandwritingMessage(message);
-					break;
-			}
+			if (options.validateMessages && !validateMessage(message)) return false;
+
+			success	= parseMessage(message);
 		} else {
 			success	= false;
 		}
@@ -215,14 +283,15 @@ function tuioJSONParser(options) {
 	 */
 	this.setOptions = function(newOptions) {
 		log("Resetting tuioJSON Parser options.");
-		options	= extend(options,newOptions);
+		options	= extendOptions(options,newOptions);
+		if (newOptions.environment) environment = createEnvironment(options.environment);
 	}
 	
 	/**
 	 * @public stop
 	 * Stops the processing operation, so that new incoming messages won't be parsed,
 	 * which can be useful to save resources if you have multiple browser instances running,
-	 * but only one is currently active.
+	 * but only one is currently active (see the tuioJSONCoordinator to do this automatically).
 	 * 
 	 * @param	-		-
 	 * @return	-
@@ -242,6 +311,171 @@ function tuioJSONParser(options) {
 		processMessages	= true;
 	}
 
+	/**
+	 * @public on
+	 * Subscribes a callback function to an event without any DOM dispatching involved. The callback
+	 * receives a plain data object. Available events are the Touch and Pen events ('touchstart',
+	 * 'touchmove', 'touchend', 'touchcancel', 'penstart', ...), the gesture events named after the
+	 * gestureType and state ('scalestart', 'dragchange', ...) plus 'gesture' for all of them,
+	 * 'gestureunresolved', 'shape' and 'handwriting'.
+	 * 
+	 * @param	eventName		The name of the event
+	 * @param	callback		The function to call with the data object
+	 * @return	-
+	 */
+	this.on = function(eventName, callback) {
+		if (!Listeners[eventName]) Listeners[eventName] = [];
+		Listeners[eventName].push(callback);
+	}
+	
+	/**
+	 * @public off
+	 * Unsubscribes a callback function that has been subscribed via on().
+	 * 
+	 * @param	eventName		The name of the event
+	 * @param	callback		The function to unsubscribe, all functions of the event if omitted
+	 * @return	-
+	 */
+	this.off = function(eventName, callback) {
+		if (!Listeners[eventName]) return;
+		if (!callback) {
+			delete Listeners[eventName];
+			return;
+		}
+		for(var i=Listeners[eventName].length-1;i>=0;i--) {
+			if (Listeners[eventName][i]==callback) Listeners[eventName].splice(i,1);
+		}
+		if (!Listeners[eventName].length) delete Listeners[eventName];
+	}
+	
+	/**
+	 * @public cancelAll
+	 * Cancels every active Touch, PenPoint and gesture by dispatching the corresponding cancel events,
+	 * which is useful if the connection to the server has been lost.
+	 * 
+	 * @param	-		-
+	 * @return	success
+	 */
+	this.cancelAll = function() {
+		var success	= true;
+		flushFrame();
+		for(var type in PointCollection) {
+			for(var identifier in PointCollection[type]) {
+				success	= dispatchCustomPointCancel(type, identifier) && success;
+			}
+		}
+		for(var identifier in GestureTargets) {
+			success	= dispatchGestureCancel(identifier) && success;
+		}
+		for(var identifier in ObjectCollection) {
+			success	= dispatchObjectCancel(identifier) && success;
+		}
+		cancelFrameContacts();
+		stopScrollMomentum(null);
+		stopWatchdog();
+		return success;
+	}
+
+	/**
+	 * @public validate
+	 * Checks a message against the tuioJSON protocol definition without parsing it.
+	 * Each error is an object of the form { path: 'touches[1].x', reason: '...', value: ..., repairable: Bool }.
+	 *
+	 * @param	message		the decoded JSON message object
+	 * @return	Array of errors, empty if the message is valid
+	 */
+	this.validate = function(message) {
+		return getValidationErrors(message);
+	}
+
+	/**
+	 * @public getObjects
+	 * Returns the tangible objects that are currently on the surface.
+	 *
+	 * @param	-		-
+	 * @return	Array of TangibleObjects
+	 */
+	this.getObjects = function() {
+		return getObjects();
+	}
+
+	/**
+	 * @public setCalibration
+	 * Sets the calibration transform that maps the percental coordinates of every message
+	 * before they are translated into pixels.
+	 *
+	 * @param	calibration		Object with the transform type and its 3x3 matrix (row-major), null removes the calibration
+	 * @return	-
+	 */
+	this.setCalibration = function(calibration) {
+		options.calibration	= calibration || null;
+	}
+
+	/**
+	 * @public getCalibration
+	 *
+	 * @param	-		-
+	 * @return	the current calibration transform OR null
+	 */
+	this.getCalibration = function() {
+		return options.calibration;
+	}
+
+	/**
+	 * @public getSurfacePosition
+	 * Maps percental tracker coordinates as set by the surfaceRegion, flipX, flipY and
+	 * surfaceRotation options, without applying the calibration.
+	 *
+	 * @param	x		The percental x coordinate
+	 * @param	y		The percental y coordinate
+	 * @return	Object containing both x and y field, percental, OR null if the position is ignored (see outsideRegion)
+	 */
+	this.getSurfacePosition = function(x,y) {
+		if (isOutsideSurfaceRegion(x,y)) return null;
+		return mapSurfacePosition(x,y,false);
+	}
+
+	/**
+	 * @public getViewport
+	 * Returns the viewport of the environment the parser runs in, see the getViewport adapter.
+	 *
+	 * @param	-		-
+	 * @return	Object containing width, height, outerWidth, outerHeight, screenWidth, screenHeight,
+	 * 			screenLeft, screenTop, scrollX and scrollY in pixels
+	 */
+	this.getViewport = function() {
+		return environment.getViewport();
+	}
+
+	/**
+	 * @public getNormalizedPosition
+	 * Translates a viewport position in pixels back into percental coordinates, without applying
+	 * the calibration. This is the position an ideally calibrated server would send.
+	 *
+	 * @param	x		The x position in pixels
+	 * @param	y		The y position in pixels
+	 * @return	Object containing both x and y field, percental
+	 */
+	this.getNormalizedPosition = function(x,y) {
+		var viewport	= environment.getViewport();
+		if (options.useBrowserRelativeCoordinates) {
+			return {
+				x: (x + viewport.screenLeft + (viewport.outerWidth-viewport.width)) / viewport.screenWidth,
+				y: (y + viewport.screenTop + (viewport.outerHeight-viewport.height)) / viewport.screenHeight
+			};
+		} else if (options.useCoordinateCalibration) {
+			return {
+				x: (x + options.coordinateOrigin.x) / viewport.screenWidth,
+				y: (y + options.coordinateOrigin.y) / viewport.screenHeight
+			};
+		} else {
+			return {
+				x: x / viewport.width,
+				y: y / viewport.height
+			};
+		}
+	}
+
 
 	/**
 	 * parseTouchMessage
@@ -291,229 +525,853 @@ function tuioJSONParser(options) {
 		'pen':		{}
 	};
 
+	/**
+	 * PendingFrame
+	 * stores the Frame object of the tuioJSON frame (fseq) that is currently being collected.
+	 * Its changes will be dispatched as soon as the frame is complete, or when the frameTimeout elapsed.
+	 */
+	var PendingFrame	= null;
+	
+	/**
+	 * PendingFrameTimeout
+	 * stores the timeout that dispatches the PendingFrame if it is not completed in time.
+	 */
+	var PendingFrameTimeout	= null;
+
 	/**
 	 * parseCustomPointMessage
-	 * parses a valid Tuio JSON message if it's any kind of Point message (type=='pen' or type=='touch')
+	 * parses a valid Tuio JSON message if it's any kind of Point message (type=='pen' or type=='touch').
+	 * Messages that carry a frame sequence number (fseq) are collected until their frame is complete,
+	 * all other messages are dispatched immediately as a frame of their own.
 	 * 
 	 * @param	message		The full decoded JSON message object
 	 * @return	Parsing success as Bool
 	 */
 	function parseCustomPointMessage(message) {
 		log("Parsing CustomPoint message ...",message);
+		
+		var success	= false;
+		
+		if (message.fseq!==undefined && message.fseq!==null) {
+			// a message of a new frame completes the pending one
+			if (PendingFrame && PendingFrame.fseq!=message.fseq) flushFrame();
+			if (!PendingFrame) {
+				PendingFrame		= new Frame(message.fseq);
+				PendingFrameTimeout	= setTimeout(flushFrame, options.frameTimeout);
+			}
+			success	= applyCustomPointMessage(message, PendingFrame);
+		} else {
+			if (PendingFrame) flushFrame();
+			var frame	= new Frame();
+			success		= applyCustomPointMessage(message, frame);
+			success		= dispatchFrame(frame) && success;
+		}
+		return success;
+	}
+	
+	/**
+	 * parseFrameMessage
+	 * Parses a message of type 'frame' which marks the end of the frame with the given fseq.
+	 * 
+	 * @param	message		The message object
+	 * @return	success
+	 */
+	function parseFrameMessage(message) {
+		if (!PendingFrame) return true;
+		if (message.fseq!==undefined && message.fseq!=PendingFrame.fseq) {
+			error("Frame message does not match the pending frame (fseq:"+message.fseq+")");
+		}
+		return flushFrame();
+	}
+	
+	/**
+	 * parseMessage
+	 * Passes a (validated) message to the parse method of its type. Used by parse() and for the
+	 * parts of a bundle, so that wrappers of the public parse() see every message only once.
+	 * 
+	 * @param	message		The message object
+	 * @return	success
+	 */
+	function parseMessage(message) {
+		var success	= false;
+		switch(message.type) {
+		
+			case 'touch':
+				success = options.dontParse.touch || parseTouchMessage(message);
+				break;
+			
+			case 'gesture':
+				success = options.dontParse.gesture || parseGestureMessage(message);
+				break;
+			
+			case 'pen':
+				success = options.dontParse.pen || parsePenMessage(message);
+				break;
+			
+			case 'shape':
+				success = options.dontParse.shape || parseShapeMessage(message);
+				break;
+			
+			case 'handwriting':				
+				success = options.dontParse.handwriting || parseHandwritingMessage(message);
+				break;
+			
+			case 'symbol':
+				success = options.dontParse.symbol || parseSymbolMessage(message);
+				break;
+			
+			case 'object':
+				success = options.dontParse.object || parseObjectMessage(message);
+				break;
+			
+			case 'frame':
+				success = parseFrameMessage(message);
+				break;
+			
+			case 'bundle':
+				success = parseBundleMessage(message);
+				break;
+		}
+		return success;
+	}
+	
+	/**
+	 * parseBundleMessage
+	 * Parses a message of type 'bundle' that contains all messages of one frame in its 'messages'
+	 * array. All Touch and Pen updates are applied before the events will be dispatched, other
+	 * messages of the bundle are parsed afterwards in their original order.
+	 * 
+	 * @param	message		The message object
+	 * @return	success
+	 */
+	function parseBundleMessage(message) {
+		if (PendingFrame) flushFrame();
+		
+		if (!(message.messages instanceof Array)) {
+			error("Bundle message without messages array");
+			return false;
+		}
+		
+		var frame	= new Frame(message.fseq, message.time),
+			others	= [],
+			success	= true;
+		
+		for(var i=0;i<message.messages.length;i++) {
+			var part	= message.messages[i];
+			if (options.validateMessages && !validateMessage(part)) {
+				success	= false;
+				continue;
+			}
+			if ((part.type=='touch' && !options.dontParse.touch) || (part.type=='pen' && !options.dontParse.pen && !options.singlePenMode)) {
+				success	= applyCustomPointMessage(part, frame) && success;
+			} else {
+				others.push(part);
+			}
+		}
+		if (FrameRoutes.length) flushFrameRoutes();
+		success	= dispatchFrame(frame) && success;
+		
+		for(var i=0;i<others.length;i++) success = parseMessage(others[i]) && success;
+		return success;
+	}
+	
+	/**
+	 * flushFrame
+	 * Dispatches the changes of the pending frame.
+	 * 
+	 * @param	-		-
+	 * @return	success
+	 */
+	function flushFrame() {
+		var frame		= PendingFrame;
+		PendingFrame	= null;
+		clearTimeout(PendingFrameTimeout);
+		PendingFrameTimeout	= null;
+		if (FrameRoutes.length) flushFrameRoutes();
+		return frame ? dispatchFrame(frame) : true;
+	}
 	
+	/**
+	 * @class
+	 * Frame
+	 * Collects the changes of all Touches and PenPoints of one tuioJSON frame.
+	 * 
+	 * @param	fseq		The frame sequence number, if any
+	 * @param	time		The timestamp of the frame in ms, if any
+	 */
+	function Frame(fseq, time) {
+		this.fseq		= fseq;
+		// the time of the frame in ms if the server (or a replay) provides it
+		this.time		= time;
+		// the changes in order of appearance: { kind: 'start'|'move'|'end', type: 'touch'|'pen', point: .., x: .., y: .. }
+		this.changes	= [];
+		// the move changes by type and identifier, so that every point moves only once per frame
+		this.moves		= {
+			'touch':	{},
+			'pen':		{}
+		};
+		// the points that end in this frame by type and identifier, they are still part of the touches of its start and move events
+		this.ended		= {
+			'touch':	{},
+			'pen':		{}
+		};
+	}
+	
+	/**
+	 * applyCustomPointMessage
+	 * Applies a Point message to the PointCollection and records the resulting change in the frame.
+	 * No events are dispatched here, see dispatchFrame().
+	 * 
+	 * @param	message		The full decoded JSON message object
+	 * @param	frame		The Frame object to record the change in
+	 * @return	success
+	 */
+	function applyCustomPointMessage(message, frame) {
+		if ((message.state=='start' || message.state=='move') && isOutsideSurfaceRegion(message.x, message.y)) {
+			log("Ignoring "+message.type+" outside the surface region (Id.:"+message.id+")");
+			return true;
+		}
+		
 		var position= calculatePosition(message.x, message.y),
 			x		= position.x,
 			y		= position.y,
+			type	= message.type,
 			success	= false;
-	
-	
+		
+		if (options.dispatchIntoFrames && routeIntoFrame(message, (message.x!==undefined) ? position : null, !!PointCollection[type][message.id])) return true;
+		
 		/**
 		 * the following logic determines whether a Touch/Pen event for the incoming message should
 		 * really be created or not.
 		 */	
 		switch (message.state) {
 			case 'start':
-				if (PointCollection[message.type][message.id]) {
+				if (PointCollection[type][message.id]) {
 					error("Duplicate Tuio Event identifier");
 					success = false;
 				} else {
-					success	= dispatchCustomPointStart(message.type,message.id,x,y);		
+					success	= applyCustomPointStart(type,message.id,x,y);		
 				}
 				break;
 				
 			case 'move':
-				if (!PointCollection[message.type][message.id]) {
+				if (!PointCollection[type][message.id]) {
 					if (options.fixStartEventLack) {
 						// in this case, trigger a start event artificially, and then the move event
-						dispatchCustomPointStart(message.type,message.id,x,y);
-						log("dispatched artificial "+message.type+"start");
-						success	= dispatchCustomPointMove(message.type,message.id,x,y);
+						applyCustomPointStart(type,message.id,x,y);
+						log("dispatched artificial "+type+"start");
+						success	= applyCustomPointMove(type,message.id,x,y);
 					} else {
-						error("No preluding "+message.type+"start event found for "+message.type+"move event (Id.:"+message.id+")");
+						error("No preluding "+type+"start event found for "+type+"move event (Id.:"+message.id+")");
 						success = false;
 					}
 				} else {
-					//perflog("#M#"+message.id+'##'+(new Date()/1)+'##BDISP');
-					success	= dispatchCustomPointMove(message.type,message.id,x,y);
-					//perflog("#M#"+message.id+'##'+(new Date()/1)+'##DISP');
+					success	= applyCustomPointMove(type,message.id,x,y);
 				}
 				break;
 				
 			case 'end':
-				if (!PointCollection[message.type][message.id]) {
-					error("No preluding "+message.type+"start found for "+message.type+"end event (Id.:"+message.id+")");
+				if (!PointCollection[type][message.id]) {
+					error("No preluding "+type+"start found for "+type+"end event (Id.:"+message.id+")");
 					success = false;
 				} else {
-					success	= dispatchCustomPointEnd(message.type,message.id);
+					success	= applyCustomPointEnd(type,message.id);
 				}
 				break;
 		}
 		
 		/**
-		 * dispatchCustomPointStart
-		 * Creates and dispatches a start event without further validating.
+		 * applyCustomPointStart
+		 * Creates a new point and records a start change without further validating.
 		 * 
 		 * @param	identifier		The Touch identifier for this event
 		 * @param	x				The x position in pixels of the Touch
 		 * @param	y				The y position in pixels of the Touch
 		 * @return	success
 		 */
-		function dispatchCustomPointStart(type,identifier,x,y) {
-			var success	= false;
-			
+		function applyCustomPointStart(type,identifier,x,y) {
 			// (1) create Touch object
 			var point;
 			switch(type) {
-				case 'touch':	point = document.createTouch(document, getTarget(x,y), identifier); break;
-				case 'pen':		point = document.createPenPoint(document, getTarget(x,y), identifier); break;
+				case 'touch':	point = new Touch({ view: environment.root, target: getTarget(x,y), identifier: identifier }); break;
+				case 'pen':		point = new PenPoint({ view: environment.root, target: getTarget(x,y), identifier: identifier }); break;
 			}
 			injectBrowserPositions(point, calculateBrowserPositions(x,y));
+			ContactGeometry[type][identifier]	= { width: 2, height: 2, angle: 0 };
+			injectContactGeometry(point, ContactGeometry[type][identifier], message);
+			MotionHistory[type][identifier]		= [];
+			injectMotion(point, MotionHistory[type][identifier], message, frame.time);
 			
 			// (2) save Touch object in Touch collection
-			PointCollection[message.type][identifier]	= point;
+			PointCollection[type][identifier]		= point;
+			ElementsUnderPoint[type][identifier]	= point.target;
 			rebuildPointCollection(type);
 			
-			// (3) create TouchEvent object
-			var event;
-			switch(type) {
-				case 'touch':	event = TouchEvent(options[type].startName,{}); break;
-				case 'pen':		event = PenEvent(options[type].startName,{}); break;
-			}
-			event.touches			= getTouches(type);
-			event.targetTouches		= getTargetTouches(type,point.target);
-			event.changedTouches	= getChangedTouches(type,point);
+			// (2b) assign the PointerEvent attributes
+			var pointer	= createPointerAttributes(type, identifier);
+			injectPointerAttributes(pointer, message);
 			
-			// (4) Dispatch event
-			success	= self.eventDispatcher.dispatch(event, point.target);
+			// (3) record the change
+			frame.changes.push({ kind: 'start', type: type, point: point, pointer: pointer });
 	
-			// (5) A start event happened, so the current identifier flow can potentially dispatch mouse events
+			// (4) A start event happened, so the current identifier flow can potentially dispatch mouse events
 			lastOneWasStartEvent[type][identifier] = true;
 			
-			return success;
+			// (5) keep the watchdog informed
+			updateContactTime(type, identifier);
+			
+			return true;
 		}
 		
 		/**
-		 * dispatchCustomPointMove
-		 * Creates and dispatches a move event without further validating.
+		 * applyCustomPointMove
+		 * Updates an existing point and records a move change without further validating.
 		 * 
 		 * @param	identifier		The Touch identifier for this event
 		 * @param	x				The x position in pixels of the Touch
 		 * @param	y				The y position in pixels of the Touch
 		 * @return	success
 		 */
-		function dispatchCustomPointMove(type,identifier,x,y) {
-			var success	= false;
+		function applyCustomPointMove(type,identifier,x,y) {
+			var point	= PointCollection[type][identifier];
 			
 			// (1) formalize the Touch object data update and inject the updated data into the existing Touch object
-			injectBrowserPositions(PointCollection[message.type][identifier], calculateBrowserPositions(x,y));
-						
-			// (2) create event object
-			var event;
-			switch(type) {
-				case 'touch':	event = TouchEvent(options[type].moveName,{}); break;
-				case 'pen':		event = PenEvent(options[type].moveName,{}); break;
-			}
-			event.touches			= getTouches(type);
-			event.targetTouches		= getTargetTouches(type,PointCollection[message.type][identifier].target);
-			event.changedTouches	= getChangedTouches(type,PointCollection[message.type][identifier]);
+			injectBrowserPositions(point, calculateBrowserPositions(x,y));
+			injectContactGeometry(point, ContactGeometry[type][identifier], message);
+			injectMotion(point, MotionHistory[type][identifier], message, frame.time);
+			injectPointerAttributes(PointerAttributes[type][identifier], message);
 			
-			// (3) Dispatch event
-			success	= self.eventDispatcher.dispatch(event, PointCollection[message.type][identifier].target);
+			// (2) record the change, a point moving several times in one frame only moves once
+			if (frame.moves[type][identifier]) {
+				frame.moves[type][identifier].x	= x;
+				frame.moves[type][identifier].y	= y;
+			} else {
+				frame.moves[type][identifier]	= { kind: 'move', type: type, point: point, pointer: PointerAttributes[type][identifier], x: x, y: y };
+				frame.changes.push(frame.moves[type][identifier]);
+			}
 	
-			// (4) a move happened, so the current identifier channel cannot dispatch mouse events
-			lastOneWasStartEvent[type][message.id] = false;
+			// (3) a move happened, so the current identifier channel cannot dispatch mouse events
+			lastOneWasStartEvent[type][identifier] = false;
 			
-			return success;
+			// (4) keep the watchdog informed
+			updateContactTime(type, identifier);
+			
+			return true;
 		}
 		
 		/**
-		 * dispatchCustomPointEnd
-		 * Creates and dispatches an end event without further validating.
+		 * applyCustomPointEnd
+		 * Removes an existing point and records an end change without further validating.
 		 * 
 		 * @param	identifier		The Touch identifier for this event
-		 * @param	x				The x position in pixels of the Touch
-		 * @param	y				The y position in pixels of the Touch
 		 * @return	success
 		 */
-		function dispatchCustomPointEnd(type,identifier,x,y) {
-			var success	= false;
+		function applyCustomPointEnd(type,identifier) {
+			var point	= PointCollection[type][identifier];
 			
-			// (1) do not inject a Touch update
-			// (2) create TouchEvent object
-			var event;
-			switch(type) {
-				case 'touch':	event = TouchEvent(options[type].endName,{}); break;
-				case 'pen':		event = PenEvent(options[type].endName,{}); break;
+			// (1) do not inject a Touch update, but record whether mouse events shall be triggered
+			frame.changes.push({
+				kind:		'end',
+				type:		type,
+				point:		point,
+				pointer:	PointerAttributes[type][identifier],
+				element:	ElementsUnderPoint[type][identifier],
+				click:		options[type].triggerMouseClick && lastOneWasStartEvent[type][identifier]
+			});
+			frame.ended[type][identifier]	= point;
+			
+			// a pending move of the point is not dispatched anymore, its position is part of the end
+			var move	= frame.moves[type][identifier];
+			if (move) {
+				frame.changes.splice(frame.changes.indexOf(move), 1);
+				delete frame.moves[type][identifier];
 			}
 			
-			event.identifier 		= identifier;
-			event.touches			= getTouches(identifier);	// exclude this Touch from the list
-			event.targetTouches		= getTargetTouches(PointCollection[message.type][identifier].target, identifier);	// exclude this Touch from the list
-			event.changedTouches	= getChangedTouches(PointCollection[message.type][identifier]);
+			// (2) remove the point, so that it is not part of touches and targetTouches anymore
+			delete lastOneWasStartEvent[type][identifier];
+			delete PointCollection[type][identifier];
+			delete PointerAttributes[type][identifier];
+			delete ContactGeometry[type][identifier];
+			delete MotionHistory[type][identifier];
+			delete ElementsUnderPoint[type][identifier];
+			delete ContactTimes[type][identifier];
+			rebuildPointCollection(type);
 			
-			// (3) Dispatch TouchEvent
-			success		= self.eventDispatcher.dispatch(event, PointCollection[message.type][identifier].target);
+			return true;
+		}
+		
+		return success;
+	}
+	
+	/**
+	 * dispatchFrame
+	 * Dispatches the changes of a complete frame. All start, move and end changes are grouped by
+	 * their target, so that there is one event per kind and target containing every changed
+	 * point in its changedTouches list.
+	 * 
+	 * @param	frame		The Frame object
+	 * @return	success
+	 */
+	function dispatchFrame(frame) {
+		var kinds	= ['start','move','end'],
+			success	= true;
+		
+		for(var k=0;k<kinds.length;k++) {
+			var groups	= [];
 			
-			// (4) trigger mouse events if configured
-			if (options[type].triggerMouseClick && lastOneWasStartEvent[type][identifier]) {
-				var data	= {
-					screenX:	PointCollection[message.type][identifier].screenX,
-					screenY:	PointCollection[message.type][identifier].screenY,
-					pageX:		PointCollection[message.type][identifier].pageX,
-					pageY:		PointCollection[message.type][identifier].pageY,
-					clientX:	PointCollection[message.type][identifier].clientX,
-					clientY:	PointCollection[message.type][identifier].clientY,
-					target:		PointCollection[message.type][identifier].target,
-				};
+			// (1) group the changes of this kind by type and target
+			for(var i=0;i<frame.changes.length;i++) {
+				var change	= frame.changes[i];
+				if (change.kind!=kinds[k]) continue;
 				
-				var trgt= PointCollection[message.type][identifier].target;
-				success	= success && self.eventDispatcher.dispatch(new MouseEvent('mousemove', data), trgt);
-				success	= success && self.eventDispatcher.dispatch(new MouseEvent('mousedown', data), trgt);
-				success	= success && self.eventDispatcher.dispatch(new MouseEvent('mouseup', data), trgt);
-				success	= success && self.eventDispatcher.dispatch(new MouseEvent('click', data), trgt);
+				// fire enter and leave events if the point moved onto another element
+				if (change.kind=='move' && options.dispatchDOMEvents && (options.fireEnterLeaveEvents || options.outputMode!='touch')) {
+					updateElementUnderPoint(change.type, change.point.identifier, change.x, change.y);
+				}
 				
-				delete lastOneWasStartEvent[type][identifier];
+				var group	= null;
+				for(var j=0;j<groups.length;j++) {
+					if (groups[j].type==change.type && groups[j].target==change.point.target) group = groups[j];
+				}
+				if (!group) {
+					group	= { type: change.type, target: change.point.target, changes: [], ended: (change.kind!='end') ? frame.ended[change.type] : null };
+					groups.push(group);
+				}
+				group.changes.push(change);
+			}
+			
+			// (2) create and dispatch one event per group
+			if (options.dispatchDOMEvents) {
+				for(var j=0;j<groups.length;j++) {
+					success	= dispatchCustomPointGroup(kinds[k], groups[j]) && success;
+				}
+			}
+			
+			// (3) inform the subscribers, one call per type for all targets
+			for(var type in PointCollection) {
+				if (!Listeners[type+kinds[k]]) continue;
+				var points	= [];
+				for(var j=0;j<groups.length;j++) {
+					if (groups[j].type!=type) continue;
+					for(var i=0;i<groups[j].changes.length;i++) points.push(groups[j].changes[i].point);
+				}
+				if (points.length) emitPointEvent(type+kinds[k], type, points, (kinds[k]!='end') ? frame.ended[type] : null);
 			}
-			delete PointCollection[message.type][identifier];
-			rebuildPointCollection(type);
 		}
 		
+		// (4) derive gestures, taps and swipes from the Touches
+		if (options.recognizeGestures) success = recognizeGestures() && success;
+		if (options.recognizeTaps) success = recognizeTaps(frame) && success;
+		
+		// (5) scroll the containers the Touches are panning
+		if (options.emulateScrolling && options.dispatchDOMEvents) emulateScrolling(frame);
 		return success;
 	}
 	
 	/**
-	 * parseTouchGestureMessage
-	 * parses a valid Tuio JSON message if it's a TouchGesture message (type=='gesture')
-	 * @param	message		The full decoded JSON message object
-	 * @return	Parsing success as Bool
+	 * defaultPrevented
+	 * stores a flag for each Touch/PenPoint identifier whether preventDefault() has been called on its
+	 * start or end event. Like browsers do, no mouse events will be triggered for those points then.
 	 */
-	function parseGestureMessage(message) {
-		log("Parsing Touch Gesture message ...", message);
-		var success	= false;
+	var defaultPrevented	= {
+		'touch':	{},
+		'pen':		{}
+	};
+	
+	/**
+	 * dispatchCustomPointGroup
+	 * Creates and dispatches a start, move or end event for a group of changes on the same target
+	 * and triggers mouse events for start-end sequences if configured.
+	 * 
+	 * @param	kind		'start', 'move' or 'end'
+	 * @param	group		The group object containing type, target and changes
+	 * @return	success
+	 */
+	function dispatchCustomPointGroup(kind, group) {
+		var type	= group.type,
+			points	= [],
+			success	= false;
 		
-		// general position translation (drag gestures)
-		if (message.x) {
-			var position	= calculatePosition(message.x, message.y);
-			message.x		= position.x;
-			message.y		= position.y;
-		}
+		for(var i=0;i<group.changes.length;i++) points.push(group.changes[i].point);
 		
-		// touches[] position translation
-		if (message.touches) {
-			for(var i=0;i<message.touches.length;i++) {
-				var position	= calculatePosition(message.touches[i].x, message.touches[i].y);
-				message.touches[i].x	= position.x;
-				message.touches[i].y	= position.y;
+		if (options.outputMode!='pointer') {
+			// (1) create event object
+			var event;
+			switch(type) {
+				case 'touch':	event = TouchEvent(options[type][kind+'Name'],{}); break;
+				case 'pen':		event = PenEvent(options[type][kind+'Name'],{}); break;
+			}
+			if (points.length==1) event.identifier = points[0].identifier;
+			event.touches			= addEndedPoints(getTouches(type), group.ended);
+			event.targetTouches		= addEndedPoints(getTargetTouches(type, group.target), group.ended, group.target);
+			event.changedTouches	= getChangedTouches(type, points);
+			
+			// (2) Dispatch event, a cancelled start or end event suppresses the mouse events of all its points
+			success	= self.eventDispatcher.dispatch(event, group.target);
+			if (!success && kind!='move') {
+				for(var i=0;i<points.length;i++) defaultPrevented[type][points[i].identifier] = true;
+			}
+			// a cancelled touchstart or touchmove keeps the Touches from scrolling
+			for(var i=0;i<group.changes.length;i++) group.changes[i].prevented = !success;
+		} else {
+			success	= true;
+		}
+		
+		// (2b) PointerEvents are dispatched per point, a cancelled pointerdown suppresses the mouse events as well
+		if (options.outputMode!='touch') {
+			for(var i=0;i<group.changes.length;i++) {
+				var change	= group.changes[i];
+				if (!dispatchPointerEvents(kind, type, change.point, change.pointer, change.element)) {
+					success	= false;
+					if (kind=='start') defaultPrevented[type][change.point.identifier] = true;
+					// a cancelled pointerdown or pointermove keeps the Touch from scrolling
+					change.prevented	= true;
+				}
+			}
+		}
+		
+		// (3) trigger mouse events if configured and not prevented
+		if (kind=='end') {
+			for(var i=0;i<group.changes.length;i++) {
+				var prevented	= defaultPrevented[type][group.changes[i].point.identifier];
+				delete defaultPrevented[type][group.changes[i].point.identifier];
+				if (!group.changes[i].click || prevented) continue;
+				
+				var point	= group.changes[i].point,
+					data	= {
+						screenX:	point.screenX,
+						screenY:	point.screenY,
+						pageX:		point.pageX,
+						pageY:		point.pageY,
+						clientX:	point.clientX,
+						clientY:	point.clientY,
+						target:		point.target
+					};
+				
+				var trgt= point.target;
+				success	= success && self.eventDispatcher.dispatch(new MouseEvent('mousemove', data), trgt);
+				success	= success && self.eventDispatcher.dispatch(new MouseEvent('mousedown', data), trgt);
+				success	= success && self.eventDispatcher.dispatch(new MouseEvent('mouseup', data), trgt);
+				success	= success && self.eventDispatcher.dispatch(new MouseEvent('click', data), trgt);
+			}
+		}
+		return success;
+	}
+	
+	/**
+	 * dispatchCustomPointCancel
+	 * Creates and dispatches a cancel event for an active Touch/PenPoint and removes it from the
+	 * PointCollection. No mouse events will be triggered for cancelled points.
+	 * 
+	 * @param	type			The type of the point ('touch' or 'pen')
+	 * @param	identifier		The identifier of the point
+	 * @return	success
+	 */
+	function dispatchCustomPointCancel(type, identifier) {
+		// changes of a pending frame must not be dispatched after the cancel event
+		flushFrame();
+		
+		// a gesture or tap the point is part of is cancelled as well
+		if (type=='touch') {
+			cancelRecognizedGestures(identifier);
+			cancelTapRecognition(identifier);
+			delete ScrollSessions[identifier];
+		}
+		
+		var point	= PointCollection[type][identifier],
+			success	= true;
+		if (!point) return false;
+		
+		if (options.dispatchDOMEvents && options.outputMode!='pointer') {
+			// (1) create the cancel event object, the cancelled point is not part of touches and targetTouches anymore
+			var event;
+			switch(type) {
+				case 'touch':	event = TouchEvent(options[type].cancelName,{}); break;
+				case 'pen':		event = PenEvent(options[type].cancelName,{}); break;
+			}
+			event.touches			= getTouches(type, identifier);
+			event.targetTouches		= getTargetTouches(type, point.target, identifier);
+			event.changedTouches	= getChangedTouches(type, [point]);
+			
+			// (2) Dispatch event
+			success	= self.eventDispatcher.dispatch(event, point.target);
+		}
+		
+		// (2b) dispatch pointercancel
+		if (options.dispatchDOMEvents && options.outputMode!='touch') {
+			success	= dispatchPointerEvents('cancel', type, point, PointerAttributes[type][identifier], ElementsUnderPoint[type][identifier]) && success;
+		}
+		
+		// (3) forget the point
+		delete lastOneWasStartEvent[type][identifier];
+		delete defaultPrevented[type][identifier];
+		delete PointCollection[type][identifier];
+		delete PointerAttributes[type][identifier];
+		delete ContactGeometry[type][identifier];
+		delete MotionHistory[type][identifier];
+		delete ElementsUnderPoint[type][identifier];
+		delete ContactTimes[type][identifier];
+		rebuildPointCollection(type);
+		
+		// (4) inform the subscribers
+		if (Listeners[type+'cancel']) emitPointEvent(type+'cancel', type, [point]);
+		
+		log("cancelled "+type+" (Id.:"+identifier+")");
+		return success;
+	}
+	
+	/**
+	 * ElementsUnderPoint
+	 * stores the element that is currently under each active Touch/PenPoint, which may differ
+	 * from the target the point started on
+	 */
+	var ElementsUnderPoint	= {
+		'touch':	{},
+		'pen':		{}
+	};
+	
+	/**
+	 * updateElementUnderPoint
+	 * Determines the element under a moved point and dispatches a leave event on the previous
+	 * and an enter event on the new element if they differ. The relatedTarget of the leave event
+	 * is the entered element and vice versa.
+	 * 
+	 * @requires	the x/y position has already been translated
+	 * @param	type			The type of the point ('touch' or 'pen')
+	 * @param	identifier		The identifier of the point
+	 * @param	x				The x position in pixels
+	 * @param	y				The y position in pixels
+	 * @return	-
+	 */
+	function updateElementUnderPoint(type, identifier, x, y) {
+		var point		= PointCollection[type][identifier],
+			previous	= ElementsUnderPoint[type][identifier],
+			current		= point && getTarget(x,y);
+		
+		if (!point || current==previous) return;
+		ElementsUnderPoint[type][identifier]	= current;
+		
+		if (options.fireEnterLeaveEvents && options.outputMode!='pointer') {
+			if (previous) dispatchCustomPointEnterLeave(options[type].leaveName, type, point, previous, current);
+			if (current) dispatchCustomPointEnterLeave(options[type].enterName, type, point, current, previous);
+		}
+		if (options.outputMode!='touch') {
+			var pointer	= PointerAttributes[type][identifier];
+			if (previous) dispatchPointerEvent('pointerout', type, point, pointer, previous, current);
+			if (previous) dispatchPointerEvent('pointerleave', type, point, pointer, previous, current);
+			if (current) dispatchPointerEvent('pointerover', type, point, pointer, current, previous);
+			if (current) dispatchPointerEvent('pointerenter', type, point, pointer, current, previous);
+		}
+	}
+	
+	/**
+	 * dispatchCustomPointEnterLeave
+	 * Creates and dispatches a non-bubbling enter or leave event.
+	 * 
+	 * @param	eventName		The name of the event
+	 * @param	type			The type of the point ('touch' or 'pen')
+	 * @param	point			The Touch/PenPoint object that entered or left
+	 * @param	element			The element that has been entered or left
+	 * @param	relatedTarget	The element that has been left or entered respectively
+	 * @return	success
+	 */
+	function dispatchCustomPointEnterLeave(eventName, type, point, element, relatedTarget) {
+		var event,
+			data	= {
+				bubbles:		false,
+				relatedTarget:	relatedTarget || null
+			};
+		switch(type) {
+			case 'touch':	event = TouchEvent(eventName, data); break;
+			case 'pen':		event = PenEvent(eventName, data); break;
+		}
+		event.touches			= getTouches(type);
+		event.targetTouches		= getTargetTouches(type, element);
+		event.changedTouches	= getChangedTouches(type, [point]);
+		
+		return self.eventDispatcher.dispatch(event, element);
+	}
+	
+	/**
+	 * PointerAttributes
+	 * stores the PointerEvent specific attributes (pointerId, isPrimary, width, height, pressure,
+	 * tiltX, tiltY) of each active Touch/PenPoint
+	 */
+	var PointerAttributes	= {
+		'touch':	{},
+		'pen':		{}
+	};
+	
+	/**
+	 * ContactGeometry
+	 * stores the last known contact size in pixels and angle in degrees of each active Touch/PenPoint,
+	 * before they are normalized into radiusX, radiusY and rotationAngle
+	 */
+	var ContactGeometry	= {
+		'touch':	{},
+		'pen':		{}
+	};
+	
+	/**
+	 * MotionHistory
+	 * stores the timestamped positions (and speeds) of each active Touch/PenPoint within the last
+	 * motionHistoryTime ms, the velocity and acceleration are calculated from
+	 */
+	var MotionHistory	= {
+		'touch':	{},
+		'pen':		{}
+	};
+	
+	// pointerId 1 is reserved for the mouse
+	var nextPointerId	= 2;
+	
+	/**
+	 * createPointerAttributes
+	 * Assigns a new unique pointerId to a point. The point is the primary pointer if no other
+	 * point of its type is active.
+	 * 
+	 * @param	type			The type of the point ('touch' or 'pen')
+	 * @param	identifier		The identifier of the point
+	 * @return	the attributes object
+	 */
+	function createPointerAttributes(type, identifier) {
+		var isPrimary	= true;
+		for(var i in PointerAttributes[type]) isPrimary = false;
+		
+		PointerAttributes[type][identifier]	= {
+			pointerId:	nextPointerId++,
+			isPrimary:	isPrimary
+		};
+		return PointerAttributes[type][identifier];
+	}
+	
+	/**
+	 * injectPointerAttributes
+	 * Injects the optional width, height, pressure and tilt information of a message into the
+	 * attributes object. Width and height are percental and will be translated into pixels.
+	 * 
+	 * @param	pointer		The attributes object
+	 * @param	message		The message object
+	 * @return	-
+	 */
+	function injectPointerAttributes(pointer, message) {
+		var size	= calculateSize(message.width || 0, message.height || 0);
+		pointer.width		= (message.width!==undefined)		? Math.max(size.width, 1)	: 1;
+		pointer.height		= (message.height!==undefined)		? Math.max(size.height, 1)	: 1;
+		pointer.pressure	= (message.pressure!==undefined)	? message.pressure			: 0.5;
+		pointer.tiltX		= message.tiltX		|| 0;
+		pointer.tiltY		= message.tiltY		|| 0;
+	}
+	
+	/**
+	 * dispatchPointerEvents
+	 * Dispatches the sequence of PointerEvents a start, move, end or cancel of a point implies.
+	 * Like browsers do for touch input, the down, move, up and cancel events are dispatched on
+	 * the element the point started on (implicit pointer capture).
+	 * 
+	 * @param	kind		'start', 'move', 'end' or 'cancel'
+	 * @param	type		The type of the point ('touch' or 'pen')
+	 * @param	point		The Touch/PenPoint object
+	 * @param	pointer		The PointerEvent attributes object of the point
+	 * @param	element		The element currently under the point, used for pointerout and pointerleave
+	 * @return	success
+	 */
+	function dispatchPointerEvents(kind, type, point, pointer, element) {
+		var success	= true;
+		element		= element || point.target;
+		
+		switch(kind) {
+			case 'start':
+				dispatchPointerEvent('pointerover', type, point, pointer, point.target);
+				dispatchPointerEvent('pointerenter', type, point, pointer, point.target);
+				success	= dispatchPointerEvent('pointerdown', type, point, pointer, point.target);
+				break;
+			case 'move':
+				success	= dispatchPointerEvent('pointermove', type, point, pointer, point.target);
+				break;
+			case 'end':
+			case 'cancel':
+				success	= dispatchPointerEvent((kind=='end') ? 'pointerup' : 'pointercancel', type, point, pointer, point.target);
+				dispatchPointerEvent('pointerout', type, point, pointer, element);
+				dispatchPointerEvent('pointerleave', type, point, pointer, element);
+				break;
+		}
+		return success;
+	}
+	
+	/**
+	 * dispatchPointerEvent
+	 * Creates and dispatches a single PointerEvent.
+	 * 
+	 * @param	eventName		The name of the event, e.g. 'pointerdown'
+	 * @param	type			The type of the point ('touch' or 'pen')
+	 * @param	point			The Touch/PenPoint object
+	 * @param	pointer			The PointerEvent attributes object of the point
+	 * @param	element			The element to dispatch on
+	 * @param	relatedTarget	Optional the element that has been left or entered
+	 * @return	success
+	 */
+	function dispatchPointerEvent(eventName, type, point, pointer, element, relatedTarget) {
+		// the point is up if it has already been removed from the PointCollection
+		var isUp	= (eventName=='pointerup' || eventName=='pointercancel' || PointCollection[type][point.identifier]!==point),
+			data	= {
+				bubbles:		(eventName!='pointerenter' && eventName!='pointerleave'),
+				cancelable:		(eventName!='pointerenter' && eventName!='pointerleave' && eventName!='pointercancel'),
+				relatedTarget:	relatedTarget || null,
+				button:			(eventName=='pointermove') ? -1 : 0,
+				buttons:		isUp ? 0 : 1,
+				pointerId:		pointer.pointerId,
+				pointerType:	type,
+				isPrimary:		pointer.isPrimary,
+				width:			pointer.width,
+				height:			pointer.height,
+				pressure:		isUp ? 0 : pointer.pressure,
+				tiltX:			pointer.tiltX,
+				tiltY:			pointer.tiltY
+			};
+		injectBrowserPositions(data, point);
+		
+		return self.eventDispatcher.dispatch(PointerEvent(eventName, data), element);
+	}
+	
+	/**
+	 * parseTouchGestureMessage
+	 * parses a valid Tuio JSON message if it's a TouchGesture message (type=='gesture')
+	 * @param	message		The full decoded JSON message object
+	 * @return	Parsing success as Bool
+	 */
+	function parseGestureMessage(message) {
+		log("Parsing Touch Gesture message ...", message);
+		var success	= false;
+		
+		// general position translation (drag gestures), 0 is a valid coordinate
+		if (message.x!==undefined) {
+			var position	= calculatePosition(message.x, message.y);
+			message.x		= position.x;
+			message.y		= position.y;
+		}
+		
+		// touches[] position translation
+		if (message.touches) {
+			for(var i=0;i<message.touches.length;i++) {
+				var position	= calculatePosition(message.touches[i].x, message.touches[i].y);
+				message.touches[i].x	= position.x;
+				message.touches[i].y	= position.y;
 			}
 		}
 		
 		// pivot position translation
-		if (message.pivotX) {
+		if (message.pivotX!==undefined) {
 			var position	= calculatePosition(message.pivotX, message.pivotY);
 			message.pivotX	= position.x;
 			message.pivotY	= position.y;
 		}
 		
+		// a mirrored surface turns the other way round
+		if (message.rotation!==undefined && options.flipX!=options.flipY) message.rotation = -message.rotation;
+		
+		if (options.dispatchIntoFrames && routeIntoFrame(message, getGesturePosition(message), !!GestureTargets[message.id])) return true;
+		
 		switch(message.gestureType) {
 			case 'scale':
 				success	= options.dontParse.scale || parseScaleGestureMessage(message);
@@ -564,52 +1422,16 @@ function tuioJSONParser(options) {
 	 * parseDragGestureMessage
 	 * parses a valid Tuio JSON message if it's a TouchGesture message with gestureType = drag.
 	 * Drags are special gestures with scale = 1, rotation = 0 and additional meta information.
-	 * Drags are processed similar to Touches.
+	 * Their target is resolved like that of the other gestures, see getTargetForGesture().
 	 * 
 	 * @param	message		the message object
 	 * @return	success
 	 */
 	function parseDragGestureMessage(message) {
-		var success	= false;
-		
-		switch(message.state) {
-			case 'start':
-				GestureTargets[message.id]	= getTarget(message.x, message.y);
-				break;
-			case 'change':
-				if (!GestureTargets[message.id]) {
-					if (options.fixStartEventLack) {
-						message.state	= 'start';
-						GestureTargets[message.id]	= getTarget(message.x, message.y);
-					} else {
-						error("No preluding dragstart event found for dragchange event (Id.:"+message.id+")");
-						success	= false;
-					}
-				}
-				break;
-			case 'end':
-				break;
-		}
-
 		// translate the relative (!) translation coordinates
 		var position	= calculateRelativePosition(message.translationX, message.translationY);
-
-		var dragEvent	= DragEvent(message.gestureType+message.state, {
-			target:			GestureTargets[message.id],
-			scale:			1,
-			rotation:		0,
-			translationX:	position.x,
-			translationY:	position.y
-		});
-		injectBrowserPositions(dragEvent, calculateBrowserPositions(message.x, message.y));
-
-		success	= self.eventDispatcher.dispatch(dragEvent, GestureTargets[message.id]);
-				
-		if (message.state=='end') {
-			delete GestureTargets[message.id];
-		}
 		
-		return success;
+		return parseCustomGestureMessage(message, position);
 	}
 	
 	/**
@@ -619,22 +1441,23 @@ function tuioJSONParser(options) {
 	 * will be fired.
 	 * 
 	 * @param	message		the message object
+	 * @param	translation	Optional translation in pixels of a drag gesture
 	 * @return	-
 	 */
-	function parseCustomGestureMessage(message) {
+	function parseCustomGestureMessage(message, translation) {
 		var success	= false;
 		
 		switch(message.state) {
 			case 'start':
-				GestureTargets[message.id]	= getTargetForGesture(message.touches);
+				GestureTargets[message.id]	= getTargetForGesture(message);
 				break;
 			case 'change':
 				if (!GestureTargets[message.id]) {
 					if (options.fixStartEventLack) {
 						message.state	= 'start';
-						GestureTargets[message.id]	= getTargetForGesture(message.touches);
+						GestureTargets[message.id]	= getTargetForGesture(message);
 					} else {
-						error("No preluding custom gesture start event found for custom gesture change event (Id.:"+message.id+")");
+						error("No preluding "+message.gestureType+"start event found for "+message.gestureType+"change event (Id.:"+message.id+")");
 						success	= false;
 					}
 				}
@@ -642,117 +1465,1550 @@ function tuioJSONParser(options) {
 			case 'end':
 				break;
 		}
-		
-		// only dispatch gesture if all touches are on the same element
+
+		// only dispatch gesture if its target could be resolved (see gestureTargetMode)
 		if (GestureTargets[message.id]) {
-			var gestureEvent = GestureEvent(message.gestureType+message.state, {
-				target:		GestureTargets[message.id],
-				scale:		message.scale,
-				rotation:	message.rotation
-			});
-			// inject pivot information if available
-			if (message.pivotX) {
-				injectBrowserPositions(gestureEvent, calculateBrowserPositions(message.pivotX, message.pivotY));
-			}
-			// dispatch
-			success	= self.eventDispatcher.dispatch(gestureEvent, GestureTargets[message.id]);
+			success	= dispatchGesture(message.state, message, GestureTargets[message.id], translation);
 		} else {
-			// no target found for this gesture event (either no touches av. or not all touches on same element)
+			// no target found for this gesture event, inform the app once per gesture
+			if (message.state=='start' && !UnresolvedGestures[message.id]) {
+				UnresolvedGestures[message.id]	= true;
+				dispatchGestureUnresolved(message);
+			}
 			success	= false;
 		}
 		
 		if (message.state=='end') {
-			delete GestureTargets[message.id];
+			forgetGesture(message.id);
+		} else if (GestureTargets[message.id]) {
+			delete UnresolvedGestures[message.id];
+			rememberGesture(message, translation);
 		}
 		return success;
 	}
-	
+
+	// the identifiers of gestures whose target could not be resolved yet
+	var UnresolvedGestures	= {};
+
 	/**
-	 * PenTargets stores the element on which the penstart event happened on
+	 * dispatchGestureUnresolved
+	 * Dispatches a 'gestureunresolved' event on the root and informs the subscribers, if the target
+	 * of a gesture could not be resolved and the gesture is dropped.
+	 *
+	 * @requires	the touches[] and pivot positions have already been translated
+	 * @param	message		The gesture message object
+	 * @return	success
 	 */
-	var PenTargets = {};
+	function dispatchGestureUnresolved(message) {
+		var touches		= message.touches || [],
+			candidates	= [];
+		for(var i=0;i<touches.length;i++) candidates.push(environment.elementFromPoint(touches[i].x, touches[i].y));
+
+		var data	= {
+			identifier:		message.id,
+			gestureType:	message.gestureType,
+			mode:			options.gestureTargetMode,
+			pivotX:			message.pivotX,
+			pivotY:			message.pivotY,
+			touches:		touches,
+			candidates:		candidates
+		};
+		log("Unresolvable target for "+message.gestureType+" gesture (Id.:"+message.id+")", data);
+
+		if (Listeners['gestureunresolved']) {
+			var emitted	= { type: 'gestureunresolved' };
+			for(var name in data) emitted[name] = data[name];
+			emit('gestureunresolved', emitted);
+		}
+
+		if (!options.dispatchDOMEvents) return true;
+		var event	= UnresolvedGestureEvent('gestureunresolved', data);
+		return self.eventDispatcher.dispatch(event, environment.root);
+	}
 	
 	/**
-	 * parseSinglePenMessage
-	 * Parses a message of type 'pen' if singlePenMode is active, that is, Pen messages
-	 * will be interpreted as mouse.
+	 * dispatchGesture
+	 * Dispatches a gesture event (e.g. 'scalechange', 'dragend') on the target of the gesture
+	 * and informs the subscribers.
 	 * 
-	 * NOTE: No mouseenter, mouseleave events are fired.
-	 * 
-	 * @param	message		The message object
+	 * @requires	the x/y, pivot and touches[] positions have already been translated
+	 * @param	state			The state of the gesture ('start', 'change', 'end' or 'cancel')
+	 * @param	message			The gesture message object
+	 * @param	target			The target of the gesture
+	 * @param	translation		The translation of a drag gesture in pixels, undefined for other gestures
+	 * @param	touches			Optional TouchList of the Touches that perform the gesture
 	 * @return	success
 	 */
-	function parseSinglePenMessage(message) {
-		var success	= false;
-		var position= calculatePosition(message.x, message.y),
-			x		= position.x,
-			y		= position.y,
-			eventName;
+	function dispatchGesture(state, message, target, translation, touches) {
+		var eventName	= message.gestureType+state,
+			success		= true;
 		
-		switch (message.state) {
-			case 'start':
-				eventName				= options.pen.startName;
-				PenTargets[message.id]	= getTarget(x,y);
-				break;
-			case 'move':
-				eventName				= options.pen.moveName;
-				break;
-			case 'end':
-				eventName				= options.pen.endName;
-				break;
+		if (options.dispatchDOMEvents) {
+			var event;
+			if (translation) {
+				event	= DragEvent(eventName, {
+					target:			target,
+					scale:			1,
+					rotation:		0,
+					translationX:	translation.x,
+					translationY:	translation.y
+				});
+				injectBrowserPositions(event, calculateBrowserPositions(message.x, message.y));
+			} else {
+				event	= GestureEvent(eventName, {
+					target:		target,
+					scale:		message.scale,
+					rotation:	message.rotation
+				});
+				// inject pivot information if available
+				if (message.pivotX!==undefined && message.pivotY!==undefined) {
+					injectBrowserPositions(event, calculateBrowserPositions(message.pivotX, message.pivotY));
+				}
+			}
+			if (touches) event.touches = touches;
+			success	= self.eventDispatcher.dispatch(event, target);
 		}
-
-		// (1) Create PenEvent object
-		var event		= SinglePenEvent(eventName, calculateBrowserPositions(x,y));
-
-		// (2) Dispatch PenEvent
-		success			= self.eventDispatcher.dispatch(event, PenTargets[message.id]);	
-		
-		// (3) Remove the reference in PenTargets if 'end' event happened
-		if (eventName	== 'end') delete PenTargets[message.id];
+		emitGestureEvent(eventName, state, message, target, translation);
 		return success;
 	}
 	
 	/**
-	 * parseShapeMessage
-	 * Parses a message that contains shape information where type = 'shape'.
+	 * LastGestureMessages stores the last message (and the translation of drags in pixels) of every
+	 * active gesture, which is needed to dispatch cancel events with the last known values
+	 */
+	var LastGestureMessages		= {},
+		LastGestureTranslations	= {};
+	
+	/**
+	 * rememberGesture
+	 * Stores the last message of an active gesture and informs the watchdog.
 	 * 
-	 * @param	message		The message object
-	 * @return	success
+	 * @param	message			The gesture message object
+	 * @param	translation		The translation of a drag gesture in pixels, undefined for other gestures
+	 * @return	-
 	 */
-	function parseShapeMessage(message) {
-		var event	= ShapeEvent(message.type+message.state,message);
-		return self.eventDispatcher.dispatch(event, document);
+	function rememberGesture(message, translation) {
+		LastGestureMessages[message.id]		= message;
+		LastGestureTranslations[message.id]	= translation;
+		updateContactTime('gesture', message.id);
 	}
 	
 	/**
-	 * parseHandwritingMessage
-	 * Parses message that contains information about handwriting recognition,
-	 * where type = 'handwriting'.
-	 * 'state' should be one of 'processing' or 'result'
+	 * forgetGesture
+	 * Removes all references to a gesture that has ended or has been cancelled.
 	 * 
-	 * @param	message		the message object
+	 * @param	identifier		The gesture identifier
+	 * @return	-
+	 */
+	function forgetGesture(identifier) {
+		delete GestureTargets[identifier];
+		delete UnresolvedGestures[identifier];
+		delete LastGestureMessages[identifier];
+		delete LastGestureTranslations[identifier];
+		delete ContactTimes['gesture'][identifier];
+	}
+	
+	/**
+	 * dispatchGestureCancel
+	 * Dispatches a cancel event (e.g. 'scalecancel', 'dragcancel') for an active gesture using
+	 * the values of its last message and removes the gesture.
+	 * 
+	 * @param	identifier		The gesture identifier
 	 * @return	success
 	 */
-	function parseHandwritingMessage(message) {
-		var data;
-		if (message.state=='result') {
-			data = { words: message.words }
-		} else if(message.state=='processing') {
-			data = {};
+	function dispatchGestureCancel(identifier) {
+		var target	= GestureTargets[identifier],
+			message	= LastGestureMessages[identifier],
+			success	= false;
+		
+		if (target && message) {
+			success	= dispatchGesture('cancel', message, target, LastGestureTranslations[identifier]);
+			log("cancelled "+message.gestureType+" gesture (Id.:"+identifier+")");
 		}
-		var event	= HandwritingEvent(message.type+message.state,data);
-		return self.eventDispatcher.dispatch(event, document);
+		
+		forgetGesture(identifier);
+		return success;
 	}
 	
+	/**
+	 * RecognitionSessions
+	 * stores a session for every element Touches are currently on while recognizeGestures is active.
+	 * A session keeps the Touch geometry of the last frame (base), the values accumulated since the
+	 * first Touch was placed on the element and the identifiers of its active gestures.
+	 */
+	var RecognitionSessions	= [];
 	
-/**
- * @end parsing method implementations # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # 
- */
-	
+	// the counter of the identifiers of recognized gestures
+	var nextRecognizedGestureId	= 1;
 	
 	/**
-	 * getTouches
+	 * recognizeGestures
+	 * Derives scale, rotate and drag gestures from the Touches in the PointCollection, grouped by the
+	 * element they started on. A gesture starts as soon as its value exceeds the threshold and
+	 * ends as soon as all Touches on the element have been lifted.
+	 * 
+	 * @param	-		-
+	 * @return	success
+	 */
+	function recognizeGestures() {
+		var groups	= [],
+			success	= true,
+			i, j;
+		
+		// (1) group the Touches by their target
+		for(var identifier in PointCollection['touch']) {
+			var point	= PointCollection['touch'][identifier],
+				group	= null;
+			for(j=0;j<groups.length;j++) {
+				if (groups[j].target==point.target) group = groups[j];
+			}
+			if (!group) {
+				group	= { target: point.target, points: [] };
+				groups.push(group);
+			}
+			group.points.push(point);
+		}
+		
+		// (2) end the gestures of elements without Touches
+		for(i=RecognitionSessions.length-1;i>=0;i--) {
+			var found	= false;
+			for(j=0;j<groups.length;j++) {
+				if (groups[j].target==RecognitionSessions[i].target) found = true;
+			}
+			if (!found) {
+				success	= endRecognitionSession(RecognitionSessions[i]) && success;
+				RecognitionSessions.splice(i,1);
+			}
+		}
+		
+		// (3) update the sessions of all elements with Touches
+		for(j=0;j<groups.length;j++) {
+			var session	= null;
+			for(i=0;i<RecognitionSessions.length;i++) {
+				if (RecognitionSessions[i].target==groups[j].target) session = RecognitionSessions[i];
+			}
+			if (!session) {
+				session	= { target: groups[j].target, base: null, scale: 1, rotation: 0, translationX: 0, translationY: 0, gestures: {}, values: {} };
+				RecognitionSessions.push(session);
+			}
+			success	= updateRecognitionSession(session, groups[j].points) && success;
+		}
+		return success;
+	}
+	
+	/**
+	 * updateRecognitionSession
+	 * Calculates the current values of a session and starts or changes its gestures.
+	 * 
+	 * @param	session		The session object
+	 * @param	points		Array of the Touches on the session's element
+	 * @return	success
+	 */
+	function updateRecognitionSession(session, points) {
+		var geometry	= getTouchGeometry(points),
+			base		= session.base,
+			thresholds	= options.gestureRecognition,
+			success		= true;
+		
+		// accumulate the changes since the last frame, unless a Touch has been added or removed
+		if (base && base.identifiers==geometry.identifiers) {
+			if (points.length>1 && base.distance>0) session.scale *= geometry.distance/base.distance;
+			if (points.length>1) session.rotation += getMeanRotation(base, geometry);
+			session.translationX	+= geometry.x-base.x;
+			session.translationY	+= geometry.y-base.y;
+		}
+		session.base	= geometry;
+		
+		var values	= {
+			drag:	[session.translationX, session.translationY],
+			scale:	[session.scale],
+			rotate:	[session.rotation]
+		};
+		var exceeded	= {
+			drag:	Math.sqrt(session.translationX*session.translationX + session.translationY*session.translationY)>=thresholds.dragThreshold,
+			scale:	Math.abs(session.scale-1)>=thresholds.scaleThreshold,
+			rotate:	Math.abs(session.rotation)>=thresholds.rotateThreshold
+		};
+		
+		for(var gestureType in values) {
+			var identifier	= session.gestures[gestureType];
+			if (identifier===undefined) {
+				if (!exceeded[gestureType]) continue;
+				identifier	= session.gestures[gestureType]	= 'recognized-'+(nextRecognizedGestureId++);
+				GestureTargets[identifier]	= session.target;
+			} else if (values[gestureType].join()==session.values[gestureType]) {
+				// nothing changed, but the gesture is still alive
+				updateContactTime('gesture', identifier);
+				continue;
+			}
+			session.values[gestureType]	= values[gestureType].join();
+			var state	= LastGestureMessages[identifier] ? 'change' : 'start';
+			success		= dispatchRecognizedGesture(state, gestureType, identifier, session, geometry, points) && success;
+		}
+		return success;
+	}
+	
+	/**
+	 * endRecognitionSession
+	 * Ends the active gestures of a session with their last values.
+	 * 
+	 * @param	session		The session object
+	 * @return	success
+	 */
+	function endRecognitionSession(session) {
+		var success	= true;
+		for(var gestureType in session.gestures) {
+			var identifier	= session.gestures[gestureType],
+				message		= LastGestureMessages[identifier];
+			// the gesture may have been cancelled already
+			if (!message) continue;
+			success	= dispatchGesture('end', message, GestureTargets[identifier], LastGestureTranslations[identifier], TouchList()) && success;
+			forgetGesture(identifier);
+		}
+		return success;
+	}
+	
+	/**
+	 * cancelRecognizedGestures
+	 * Cancels the gestures of the session a Touch belongs to and removes the session.
+	 * 
+	 * @param	identifier		The identifier of the Touch
+	 * @return	-
+	 */
+	function cancelRecognizedGestures(identifier) {
+		var point	= PointCollection['touch'][identifier];
+		if (!point) return;
+		for(var i=RecognitionSessions.length-1;i>=0;i--) {
+			if (RecognitionSessions[i].target!=point.target) continue;
+			for(var gestureType in RecognitionSessions[i].gestures) dispatchGestureCancel(RecognitionSessions[i].gestures[gestureType]);
+			RecognitionSessions.splice(i,1);
+		}
+	}
+	
+	/**
+	 * dispatchRecognizedGesture
+	 * Creates the gesture message of a recognized gesture and dispatches it like a server's one.
+	 * 
+	 * @param	state			'start' or 'change'
+	 * @param	gestureType		'scale', 'rotate' or 'drag'
+	 * @param	identifier		The identifier of the gesture
+	 * @param	session			The session object
+	 * @param	geometry		The current geometry of the Touches, see getTouchGeometry
+	 * @param	points			Array of the Touches on the session's element
+	 * @return	success
+	 */
+	function dispatchRecognizedGesture(state, gestureType, identifier, session, geometry, points) {
+		var touches	= [];
+		for(var i=0;i<points.length;i++) touches.push({ x: points[i].clientX, y: points[i].clientY });
+		
+		var message	= {
+			type:			'gesture',
+			id:				identifier,
+			gestureType:	gestureType,
+			state:			state,
+			x:				geometry.x,
+			y:				geometry.y,
+			pivotX:			geometry.x,
+			pivotY:			geometry.y,
+			scale:			(gestureType=='scale') ? session.scale : 1,
+			rotation:		(gestureType=='rotate') ? session.rotation : 0,
+			touches:		touches
+		};
+		var translation	= (gestureType=='drag') ? { x: session.translationX, y: session.translationY } : undefined;
+		
+		var success	= dispatchGesture(state, message, session.target, translation, TouchList(points));
+		rememberGesture(message, translation);
+		return success;
+	}
+	
+	/**
+	 * getTouchGeometry
+	 * Calculates the centroid of a set of Touches, their mean distance to it and their angles around it.
+	 * 
+	 * @param	points		Array of Touches
+	 * @return	object with x, y, distance, angles (by identifier) and identifiers (a sorted key)
+	 */
+	function getTouchGeometry(points) {
+		var geometry	= { x: 0, y: 0, distance: 0, angles: {}, identifiers: [] },
+			i;
+		for(i=0;i<points.length;i++) {
+			geometry.x	+= points[i].clientX/points.length;
+			geometry.y	+= points[i].clientY/points.length;
+			geometry.identifiers.push(points[i].identifier);
+		}
+		for(i=0;i<points.length;i++) {
+			var dx	= points[i].clientX-geometry.x,
+				dy	= points[i].clientY-geometry.y;
+			geometry.distance	+= Math.sqrt(dx*dx + dy*dy)/points.length;
+			geometry.angles[points[i].identifier]	= Math.atan2(dy, dx)*180/Math.PI;
+		}
+		geometry.identifiers	= geometry.identifiers.sort().join(',');
+		return geometry;
+	}
+	
+	/**
+	 * getMeanRotation
+	 * Calculates the mean rotation in degrees of the Touches around their centroid between two geometries.
+	 * 
+	 * @param	base		The geometry the rotation is relative to
+	 * @param	geometry	The current geometry
+	 * @return	the rotation in degrees, clockwise
+	 */
+	function getMeanRotation(base, geometry) {
+		var sum		= 0,
+			count	= 0;
+		for(var identifier in geometry.angles) {
+			var delta	= geometry.angles[identifier]-base.angles[identifier];
+			// take the shorter way around
+			if (delta>180) delta -= 360;
+			if (delta<-180) delta += 360;
+			sum	+= delta;
+			count++;
+		}
+		return count ? sum/count : 0;
+	}
+	
+	/**
+	 * TapGroups
+	 * stores the Touches that are placed on an element one after another, until all of them have been
+	 * lifted, as one group. Tap, long press and swipe recognition is done per group, so a group's
+	 * number of Touches is the number of fingers of a tap or swipe.
+	 */
+	var TapGroups	= {},
+		nextTapGroupId	= 1;
+	
+	// the group of each active Touch
+	var TapFingers	= {};
+	
+	// the last recognized tap, needed to recognize double taps
+	var LastTap		= null;
+	
+	/**
+	 * recognizeTaps
+	 * Updates the tap groups with the Touch changes of a frame and dispatches tap, doubletap and swipe
+	 * as soon as all Touches of a group have been lifted.
+	 * 
+	 * @param	frame		The Frame object that has just been dispatched
+	 * @return	success
+	 */
+	function recognizeTaps(frame) {
+		var limits	= options.tapRecognition,
+			success	= true;
+		
+		for(var i=0;i<frame.changes.length;i++) {
+			var change	= frame.changes[i],
+				point	= change.point,
+				group	= TapFingers[point.identifier];
+			if (change.type!='touch') continue;
+			
+			switch(change.kind) {
+				case 'start':
+					// join the group of the element if there is an active one
+					for(var id in TapGroups) {
+						if (TapGroups[id].target==point.target) group = TapGroups[id];
+					}
+					if (!group) {
+						group	= TapGroups[nextTapGroupId]	= { id: nextTapGroupId++, target: point.target, fingers: {}, count: 0, active: 0, startTime: new Date()/1, moved: false, longPressed: false };
+						scheduleLongPress(group);
+					}
+					group.fingers[point.identifier]	= { startX: point.clientX, startY: point.clientY, x: point.clientX, y: point.clientY };
+					group.count++;
+					group.active++;
+					TapFingers[point.identifier]	= group;
+					break;
+					
+				case 'move':
+					if (!group) break;
+					var finger	= group.fingers[point.identifier],
+						dx		= point.clientX-finger.startX,
+						dy		= point.clientY-finger.startY;
+					finger.x	= point.clientX;
+					finger.y	= point.clientY;
+					if (Math.sqrt(dx*dx + dy*dy)>limits.tapMaxDistance) {
+						group.moved	= true;
+						clearTimeout(group.longPressTimeout);
+					}
+					break;
+					
+				case 'end':
+					if (!group) break;
+					delete TapFingers[point.identifier];
+					if (--group.active>0) break;
+					clearTimeout(group.longPressTimeout);
+					delete TapGroups[group.id];
+					success	= finishTapGroup(group) && success;
+					break;
+			}
+		}
+		return success;
+	}
+	
+	/**
+	 * finishTapGroup
+	 * Dispatches tap (and doubletap) or swipe for a group whose Touches have all been lifted.
+	 * 
+	 * @param	group		The tap group
+	 * @return	success
+	 */
+	function finishTapGroup(group) {
+		var limits		= options.tapRecognition,
+			now			= new Date()/1,
+			duration	= now-group.startTime,
+			position	= getTapGroupPosition(group, true),
+			success		= true;
+		
+		// a long press is no tap
+		if (group.longPressed) return true;
+		
+		if (!group.moved) {
+			if (duration>limits.tapMaxDuration) return true;
+			success	= dispatchTapEvent('tap', group, position, duration);
+			
+			// a second tap with the same number of fingers close to the first one is a double tap
+			if (LastTap && LastTap.target==group.target && LastTap.count==group.count && now-LastTap.time<=limits.doubleTapInterval &&
+				Math.sqrt(Math.pow(position.x-LastTap.x, 2) + Math.pow(position.y-LastTap.y, 2))<=limits.doubleTapDistance) {
+				success	= dispatchTapEvent('doubletap', group, position, now-LastTap.startTime) && success;
+				LastTap	= null;
+			} else {
+				LastTap	= { target: group.target, count: group.count, time: now, startTime: group.startTime, x: position.x, y: position.y };
+			}
+			return success;
+		}
+		
+		// all Touches have to move into the same direction for a swipe
+		var end			= getTapGroupPosition(group, false),
+			dx			= end.x-position.x,
+			dy			= end.y-position.y,
+			distance	= Math.sqrt(dx*dx + dy*dy),
+			horizontal	= Math.abs(dx)>Math.abs(dy);
+		if (distance<limits.swipeMinDistance || distance/duration*1000<limits.swipeMinVelocity) return true;
+		for(var identifier in group.fingers) {
+			var finger	= group.fingers[identifier];
+			if (horizontal ? (finger.x-finger.startX)*dx<=0 : (finger.y-finger.startY)*dy<=0) return true;
+		}
+		
+		return dispatchTapEvent('swipe', group, position, duration, {
+			direction:	horizontal ? (dx>0 ? 'right' : 'left') : (dy>0 ? 'down' : 'up'),
+			distance:	distance,
+			velocityX:	dx/duration*1000,
+			velocityY:	dy/duration*1000
+		});
+	}
+	
+	/**
+	 * scheduleLongPress
+	 * Starts the timer of a tap group that dispatches longpress.
+	 * 
+	 * @param	group		The tap group
+	 * @return	-
+	 */
+	function scheduleLongPress(group) {
+		group.longPressTimeout	= setTimeout(function(){ dispatchLongPress(group); }, options.tapRecognition.longPressDuration);
+	}
+	
+	/**
+	 * dispatchLongPress
+	 * Dispatches longpress if the Touches of a group are still resting after longPressDuration.
+	 * 
+	 * @param	group		The tap group
+	 * @return	-
+	 */
+	function dispatchLongPress(group) {
+		if (group.moved || !TapGroups[group.id]) return;
+		group.longPressed	= true;
+		dispatchTapEvent('longpress', group, getTapGroupPosition(group, false), new Date()/1-group.startTime);
+	}
+	
+	/**
+	 * cancelTapRecognition
+	 * Stops the recognition of the group a cancelled Touch belongs to.
+	 * 
+	 * @param	identifier		The identifier of the Touch
+	 * @return	-
+	 */
+	function cancelTapRecognition(identifier) {
+		var group	= TapFingers[identifier];
+		if (!group) return;
+		clearTimeout(group.longPressTimeout);
+		delete TapGroups[group.id];
+		for(var id in group.fingers) delete TapFingers[id];
+	}
+	
+	/**
+	 * getTapGroupPosition
+	 * Calculates the centroid of the Touches of a tap group.
+	 * 
+	 * @param	group		The tap group
+	 * @param	start		TRUE for the centroid of the start positions, FALSE for the current one
+	 * @return	object with x and y in pixels
+	 */
+	function getTapGroupPosition(group, start) {
+		var position	= { x: 0, y: 0 };
+		for(var identifier in group.fingers) {
+			var finger	= group.fingers[identifier];
+			position.x	+= (start ? finger.startX : finger.x)/group.count;
+			position.y	+= (start ? finger.startY : finger.y)/group.count;
+		}
+		return position;
+	}
+	
+	/**
+	 * dispatchTapEvent
+	 * Dispatches a tap, doubletap, longpress or swipe event on the element of a tap group and
+	 * informs the subscribers.
+	 * 
+	 * @param	eventName	'tap', 'doubletap', 'longpress' or 'swipe'
+	 * @param	group		The tap group
+	 * @param	position	The position of the event in pixels
+	 * @param	duration	The duration of the event in ms
+	 * @param	swipe		Optional object with direction, distance, velocityX and velocityY of a swipe
+	 * @return	success
+	 */
+	function dispatchTapEvent(eventName, group, position, duration, swipe) {
+		var data		= { target: group.target, fingers: group.count, duration: duration },
+			positions	= calculateBrowserPositions(position.x, position.y);
+		injectBrowserPositions(data, positions);
+		if (swipe) {
+			data.direction	= swipe.direction;
+			data.distance	= swipe.distance;
+			data.velocityX	= swipe.velocityX;
+			data.velocityY	= swipe.velocityY;
+		}
+		
+		if (Listeners[eventName]) {
+			var emitted	= { type: eventName };
+			for(var name in data) emitted[name] = data[name];
+			emit(eventName, emitted);
+		}
+		
+		if (!options.dispatchDOMEvents) return true;
+		var event	= TapEvent(eventName, data);
+		injectBrowserPositions(event, positions);
+		return self.eventDispatcher.dispatch(event, group.target);
+	}
+	
+	/**
+	 * ScrollSessions
+	 * stores per Touch identifier the state of emulated scrolling: the start and last position of the
+	 * Touch, whether it has been prevented from scrolling, and the container it scrolls once it pans.
+	 */
+	var ScrollSessions	= {};
+	
+	// the containers that are scrolling on after their Touch has been lifted
+	var ScrollMomentum	= [];
+	
+	/**
+	 * emulateScrolling
+	 * Scrolls the containers by the movement of the Touches of a frame, like the browser does for
+	 * native touches. A Touch does not scroll if preventDefault() has been called on its touchstart
+	 * or on a touchmove before it started scrolling; while scrolling, cancelled touchmoves are not
+	 * scrolled. The container is chosen as soon as the Touch has moved by the threshold: the nearest
+	 * ancestor that can scroll into the direction of the movement and whose CSS touch-action (and
+	 * that of the elements in between) allows panning along that axis.
+	 * 
+	 * @param	frame		The Frame object that has just been dispatched
+	 * @return	-
+	 */
+	function emulateScrolling(frame) {
+		var limits	= options.scrollEmulation;
+		
+		for(var i=0;i<frame.changes.length;i++) {
+			var change	= frame.changes[i],
+				point	= change.point,
+				session	= ScrollSessions[point.identifier];
+			if (change.type!='touch') continue;
+			
+			switch(change.kind) {
+				case 'start':
+					// touching a container stops its momentum, like in the browser
+					for(var node=point.target;node;node=environment.getParent(node)) stopScrollMomentum(node);
+					ScrollSessions[point.identifier]	= { startX: point.clientX, startY: point.clientY, x: point.clientX, y: point.clientY, prevented: !!change.prevented, scroll: null };
+					break;
+					
+				case 'move':
+					if (!session || session.prevented) break;
+					var deltaX	= point.clientX-session.x,
+						deltaY	= point.clientY-session.y;
+					session.x	= point.clientX;
+					session.y	= point.clientY;
+					
+					if (!session.scroll) {
+						if (change.prevented) {
+							session.prevented	= true;
+							break;
+						}
+						var distanceX	= point.clientX-session.startX,
+							distanceY	= point.clientY-session.startY;
+						if (Math.sqrt(distanceX*distanceX + distanceY*distanceY)<limits.threshold) break;
+						
+						// only one Touch scrolls a container at a time
+						session.scroll	= getScrollContainer(point.target, distanceX, distanceY);
+						if (!session.scroll || isScrolled(session.scroll.element, point.identifier)) {
+							session.scroll		= null;
+							session.prevented	= true;
+							break;
+						}
+					}
+					if (!change.prevented) scrollBy(session.scroll, -deltaX, -deltaY);
+					break;
+					
+				case 'end':
+					delete ScrollSessions[point.identifier];
+					if (session && session.scroll && limits.momentum) startScrollMomentum(session.scroll, -point.velocityX, -point.velocityY);
+					break;
+			}
+		}
+	}
+	
+	/**
+	 * getScrollContainer
+	 * Finds the container a Touch scrolls, see emulateScrolling().
+	 * 
+	 * @param	target		The target of the Touch
+	 * @param	distanceX	The horizontal movement of the Touch in pixels
+	 * @param	distanceY	The vertical movement of the Touch in pixels
+	 * @return	object with the element and the axes x and y it may be scrolled along OR null
+	 */
+	function getScrollContainer(target, distanceX, distanceY) {
+		var panX	= true,
+			panY	= true;
+		
+		for(var node=target;node;node=environment.getParent(node)) {
+			var state	= environment.getScrollState(node);
+			if (!state) continue;
+			
+			// touch-action: auto and manipulation allow panning, pan-x, pan-left, ... restrict it to an axis
+			var touchAction	= state.touchAction || 'auto';
+			if (touchAction!='auto' && touchAction!='manipulation') {
+				panX	= panX && /pan-(x|left|right)/.test(touchAction);
+				panY	= panY && /pan-(y|up|down)/.test(touchAction);
+			}
+			if (!panX && !panY) return null;
+			
+			var x	= panX && state.scrollableX && state.maxLeft>0,
+				y	= panY && state.scrollableY && state.maxTop>0;
+			if ((x && canScroll(state.left, state.maxLeft, -distanceX)) || (y && canScroll(state.top, state.maxTop, -distanceY))) {
+				return { element: node, x: x, y: y };
+			}
+		}
+		return null;
+	}
+	
+	/**
+	 * canScroll
+	 * Checks whether a scroll position can change by the given delta without exceeding its range.
+	 */
+	function canScroll(position, max, delta) {
+		return (delta<0 && position>0) || (delta>0 && position<max);
+	}
+	
+	/**
+	 * isScrolled
+	 * Checks whether another Touch is already scrolling an element.
+	 */
+	function isScrolled(element, identifier) {
+		for(var id in ScrollSessions) {
+			if (id!=identifier && ScrollSessions[id].scroll && ScrollSessions[id].scroll.element===element) return true;
+		}
+		return false;
+	}
+	
+	/**
+	 * scrollBy
+	 * Scrolls a container along its allowed axes, the scroll position is clamped to its range.
+	 * 
+	 * @param	scroll		The object returned by getScrollContainer()
+	 * @param	deltaX		The horizontal delta in pixels
+	 * @param	deltaY		The vertical delta in pixels
+	 * @return	TRUE if the scroll position has changed
+	 */
+	function scrollBy(scroll, deltaX, deltaY) {
+		var state	= environment.getScrollState(scroll.element);
+		if (!state) return false;
+		
+		var left	= scroll.x ? Math.min(Math.max(state.left+deltaX, 0), state.maxLeft) : state.left,
+			top		= scroll.y ? Math.min(Math.max(state.top+deltaY, 0), state.maxTop) : state.top;
+		if (left==state.left && top==state.top) return false;
+		environment.scrollTo(scroll.element, left, top);
+		return true;
+	}
+	
+	/**
+	 * startScrollMomentum
+	 * Lets a container scroll on with the velocity of the lifted Touch, decelerating exponentially.
+	 * 
+	 * @param	scroll		The object returned by getScrollContainer()
+	 * @param	velocityX	The horizontal velocity of the scroll position in pixels per second
+	 * @param	velocityY	The vertical velocity of the scroll position in pixels per second
+	 * @return	-
+	 */
+	function startScrollMomentum(scroll, velocityX, velocityY) {
+		var momentum	= {
+			scroll:		scroll,
+			velocityX:	scroll.x ? velocityX || 0 : 0,
+			velocityY:	scroll.y ? velocityY || 0 : 0,
+			time:		new Date()/1,
+			timeout:	null
+		};
+		if (Math.sqrt(momentum.velocityX*momentum.velocityX + momentum.velocityY*momentum.velocityY)<options.scrollEmulation.minVelocity) return;
+		
+		stopScrollMomentum(scroll.element);
+		ScrollMomentum.push(momentum);
+		momentum.timeout	= setTimeout(function(){ stepScrollMomentum(momentum); }, 16);
+	}
+	
+	/**
+	 * stepScrollMomentum
+	 * Scrolls a container by the distance its momentum covers since the last step. The momentum ends
+	 * if it has decayed below 10 pixels per second or the container cannot scroll any further.
+	 * 
+	 * @param	momentum	The momentum object
+	 * @return	-
+	 */
+	function stepScrollMomentum(momentum) {
+		var now		= new Date()/1,
+			elapsed	= (now-momentum.time)/1000,
+			decay	= Math.exp(-elapsed*1000/options.scrollEmulation.timeConstant);
+		momentum.time	= now;
+		
+		// the distance is the integral of the decaying velocity over the elapsed time
+		var factor	= (1-decay)*options.scrollEmulation.timeConstant/1000,
+			moved	= scrollBy(momentum.scroll, momentum.velocityX*factor, momentum.velocityY*factor);
+		momentum.velocityX	*= decay;
+		momentum.velocityY	*= decay;
+		
+		if (!moved || Math.sqrt(momentum.velocityX*momentum.velocityX + momentum.velocityY*momentum.velocityY)<10) {
+			stopScrollMomentum(momentum.scroll.element);
+			return;
+		}
+		momentum.timeout	= setTimeout(function(){ stepScrollMomentum(momentum); }, 16);
+	}
+	
+	/**
+	 * stopScrollMomentum
+	 * Stops the momentum scrolling of a container.
+	 * 
+	 * @param	element		The container OR null to stop all of them
+	 * @return	-
+	 */
+	function stopScrollMomentum(element) {
+		for(var i=ScrollMomentum.length-1;i>=0;i--) {
+			if (element!==null && ScrollMomentum[i].scroll.element!==element) continue;
+			clearTimeout(ScrollMomentum[i].timeout);
+			ScrollMomentum.splice(i,1);
+		}
+	}
+	
+	/**
+	 * PenTargets stores the element on which the penstart event happened on
+	 */
+	var PenTargets = {};
+	
+	/**
+	 * parseSinglePenMessage
+	 * Parses a message of type 'pen' if singlePenMode is active, that is, Pen messages
+	 * will be interpreted as mouse.
+	 * 
+	 * NOTE: No mouseenter, mouseleave events are fired.
+	 * 
+	 * @param	message		The message object
+	 * @return	success
+	 */
+	function parseSinglePenMessage(message) {
+		var success	= false;
+		var position= calculatePosition(message.x, message.y),
+			x		= position.x,
+			y		= position.y,
+			eventName;
+		
+		switch (message.state) {
+			case 'start':
+				eventName				= options.pen.startName;
+				PenTargets[message.id]	= getTarget(x,y);
+				break;
+			case 'move':
+				eventName				= options.pen.moveName;
+				break;
+			case 'end':
+				eventName				= options.pen.endName;
+				break;
+		}
+
+		// (1) Create PenEvent object
+		var positions	= calculateBrowserPositions(x,y);
+		if (options.dispatchDOMEvents) {
+			var event		= SinglePenEvent(eventName, positions);
+	
+			// (2) Dispatch PenEvent
+			success			= self.eventDispatcher.dispatch(event, PenTargets[message.id]);	
+		} else {
+			success			= true;
+		}
+		
+		// (2b) inform the subscribers
+		if (Listeners['pen'+message.state]) {
+			var point	= { identifier: message.id, target: PenTargets[message.id] };
+			injectBrowserPositions(point, positions);
+			emitPointEvent('pen'+message.state, 'pen', [point]);
+		}
+		
+		// (3) Remove the reference in PenTargets if 'end' event happened
+		if (eventName	== 'end') delete PenTargets[message.id];
+		return success;
+	}
+	
+	/**
+	 * parseShapeMessage
+	 * Parses a message that contains shape information where type = 'shape'.
+	 * 
+	 * @param	message		The message object
+	 * @return	success
+	 */
+	function parseShapeMessage(message) {
+		emit('shape', { type: 'shape', state: message.state, shapes: message.shapes });
+		if (!options.dispatchDOMEvents) return true;
+		var event	= ShapeEvent(message.type+message.state,message);
+		return self.eventDispatcher.dispatch(event, environment.root);
+	}
+	
+	/**
+	 * parseHandwritingMessage
+	 * Parses message that contains information about handwriting recognition,
+	 * where type = 'handwriting'.
+	 * 'state' should be one of 'processing' or 'result'
+	 * 
+	 * @param	message		the message object
+	 * @return	success
+	 */
+	function parseHandwritingMessage(message) {
+		var data;
+		if (message.state=='result') {
+			data = { words: message.words }
+		} else if(message.state=='processing') {
+			data = {};
+		}
+		emit('handwriting', { type: 'handwriting', state: message.state, words: data.words });
+		if (!options.dispatchDOMEvents) return true;
+		var event	= HandwritingEvent(message.type+message.state,data);
+		return self.eventDispatcher.dispatch(event, environment.root);
+	}
+	
+	/**
+	 * parseSymbolMessage
+	 * Parses message that contains the content of a symbol (e.g. a fiducial or QR code) recognized
+	 * on the surface, where type = 'symbol'.
+	 * 'state' should be one of 'start', 'change' or 'end'
+	 * 
+	 * @param	message		the message object
+	 * @return	success
+	 */
+	function parseSymbolMessage(message) {
+		if ((message.state=='start' || message.state=='change') && isOutsideSurfaceRegion(message.x, message.y)) {
+			log("Ignoring symbol outside the surface region (Id.:"+message.id+")");
+			return true;
+		}
+		var target	= environment.root;
+		if (message.x!==undefined && message.y!==undefined) {
+			var position	= calculatePosition(message.x, message.y);
+			target	= getTarget(position.x, position.y) || environment.root;
+		}
+		var data	= { identifier: message.id, symbol: message.symbol, group: message.group, data: message.data };
+		emit('symbol', { type: 'symbol', state: message.state, identifier: message.id, symbol: message.symbol, group: message.group, data: message.data, target: target });
+		if (!options.dispatchDOMEvents) return true;
+		var event	= SymbolEvent(message.type+message.state,data);
+		return self.eventDispatcher.dispatch(event, target);
+	}
+	
+	/**
+	 * ObjectCollection
+	 * stores the TangibleObjects that are currently on the surface under their identifier.
+	 */
+	var ObjectCollection	= {};
+	
+	/**
+	 * parseObjectMessage
+	 * Parses message that contains information about a tangible object (fiducial), where type = 'object'.
+	 * 'state' should be one of 'start', 'move' or 'end'. A move message fires objectmove if the
+	 * position has changed and objectrotate if the angle has changed.
+	 * 
+	 * @param	message		the message object
+	 * @return	success
+	 */
+	function parseObjectMessage(message) {
+		log("Parsing Object message ...", message);
+		var object	= ObjectCollection[message.id],
+			success	= false;
+		
+		if ((message.state=='start' || message.state=='move') && isOutsideSurfaceRegion(message.x, message.y)) {
+			log("Ignoring object outside the surface region (Id.:"+message.id+")");
+			return true;
+		}
+		if (options.dispatchIntoFrames && routeIntoFrame(message, (message.x!==undefined) ? calculatePosition(message.x, message.y) : null, !!object)) return true;
+		
+		switch(message.state) {
+			case 'start':
+				if (object) {
+					error("Duplicate Tuio Object identifier");
+					success	= false;
+				} else {
+					success	= dispatchObjectStart(message);
+				}
+				break;
+				
+			case 'move':
+				if (!object) {
+					if (options.fixStartEventLack) {
+						// the artificial start event already carries the current position and angle
+						log("dispatched artificial objectstart");
+						success	= dispatchObjectStart(message);
+					} else {
+						error("No preluding objectstart event found for objectmove event (Id.:"+message.id+")");
+						success	= false;
+					}
+				} else {
+					var clientX	= object.clientX,
+						clientY	= object.clientY,
+						angle	= object.angle;
+					updateObject(object, message);
+					
+					success	= true;
+					if (object.clientX!=clientX || object.clientY!=clientY) success = dispatchObjectEvent('move', object) && success;
+					if (object.angle!=angle) success = dispatchObjectEvent('rotate', object) && success;
+				}
+				break;
+				
+			case 'end':
+				if (!object) {
+					error("No preluding objectstart found for objectend event (Id.:"+message.id+")");
+					success	= false;
+				} else {
+					if (message.x!==undefined && message.y!==undefined) updateObject(object, message);
+					delete ObjectCollection[message.id];
+					delete ContactTimes['object'][message.id];
+					success	= dispatchObjectEvent('end', object);
+				}
+				break;
+		}
+		
+		if (ObjectCollection[message.id]) updateContactTime('object', message.id);
+		return success;
+	}
+	
+	/**
+	 * dispatchObjectStart
+	 * Creates a new TangibleObject, adds it to the ObjectCollection and dispatches objectstart.
+	 * 
+	 * @param	message		the message object
+	 * @return	success
+	 */
+	function dispatchObjectStart(message) {
+		var object	= new TangibleObject({ view: environment.root, identifier: message.id, symbol: message.symbol });
+		updateObject(object, message);
+		ObjectCollection[message.id]	= object;
+		return dispatchObjectEvent('start', object);
+	}
+	
+	/**
+	 * updateObject
+	 * Injects the position, angle and velocity of a message into a TangibleObject and
+	 * determines the element under it.
+	 * 
+	 * @param	object		The TangibleObject
+	 * @param	message		the message object
+	 * @return	-
+	 */
+	function updateObject(object, message) {
+		var position	= calculatePosition(message.x, message.y);
+		injectBrowserPositions(object, calculateBrowserPositions(position.x, position.y));
+		object.target		= getTarget(position.x, position.y);
+		if (message.symbol!==undefined) object.symbol = message.symbol;
+		if (message.angle!==undefined) object.angle = mapSurfaceAngle(message.angle);
+		if (message.velocityX!==undefined) {
+			// velocities are given in screen widths/heights per second
+			var velocity		= calculateRelativePosition(message.velocityX, message.velocityY);
+			object.velocityX	= velocity.x;
+			object.velocityY	= velocity.y;
+		}
+		if (message.rotationVelocity!==undefined) object.rotationVelocity = (options.flipX!=options.flipY) ? -message.rotationVelocity : message.rotationVelocity;
+	}
+	
+	/**
+	 * dispatchObjectCancel
+	 * Removes a TangibleObject and dispatches objectcancel, e.g. if its updates have stopped.
+	 * 
+	 * @param	identifier		The identifier of the TangibleObject
+	 * @return	success
+	 */
+	function dispatchObjectCancel(identifier) {
+		var object	= ObjectCollection[identifier];
+		if (!object) return false;
+		delete ObjectCollection[identifier];
+		delete ContactTimes['object'][identifier];
+		log("cancelled object (Id.:"+identifier+")");
+		return dispatchObjectEvent('cancel', object);
+	}
+	
+	/**
+	 * dispatchObjectEvent
+	 * Dispatches an object event on the element under the TangibleObject and informs the subscribers.
+	 * 
+	 * @param	kind		'start', 'move', 'rotate', 'end' or 'cancel'
+	 * @param	object		The TangibleObject
+	 * @return	success
+	 */
+	function dispatchObjectEvent(kind, object) {
+		var eventName	= options.object[kind+'Name'],
+			objects		= getObjects();
+		
+		if (Listeners[eventName] || Listeners['object']) {
+			var data	= getPointData(object);
+			data.type				= eventName;
+			data.state				= kind;
+			data.symbol				= object.symbol;
+			data.angle				= object.angle;
+			data.velocityX			= object.velocityX;
+			data.velocityY			= object.velocityY;
+			data.rotationVelocity	= object.rotationVelocity;
+			data.objects			= objects;
+			emit(eventName, data);
+			emit('object', data);
+		}
+		
+		if (!options.dispatchDOMEvents) return true;
+		var event	= ObjectEvent(eventName, { object: object, objects: objects });
+		injectBrowserPositions(event, object);
+		return self.eventDispatcher.dispatch(event, object.target);
+	}
+	
+	/**
+	 * getObjects
+	 * provides a list of all TangibleObjects on the surface.
+	 * 
+	 * @return	Array of TangibleObjects
+	 */
+	function getObjects() {
+		var result	= [];
+		for(var identifier in ObjectCollection) result.push(ObjectCollection[identifier]);
+		return result;
+	}
+	
+	
+	/**
+	 * Listeners
+	 * stores the callback functions subscribed via on() under their event name
+	 */
+	var Listeners	= {};
+	
+	/**
+	 * emit
+	 * Calls every callback function subscribed to an event.
+	 * 
+	 * @param	eventName		The name of the event
+	 * @param	data			The plain data object to pass
+	 * @return	-
+	 */
+	function emit(eventName, data) {
+		var callbacks	= Listeners[eventName];
+		if (!callbacks) return;
+		// copy, so that callbacks may unsubscribe themselves
+		callbacks	= callbacks.slice();
+		for(var i=0;i<callbacks.length;i++) callbacks[i].call(self, data);
+	}
+	
+	/**
+	 * emitPointEvent
+	 * Informs the subscribers of a Touch or Pen event.
+	 * 
+	 * @param	eventName		The name of the event, e.g. 'touchstart'
+	 * @param	type			The type of the points ('touch' or 'pen')
+	 * @param	points			Array of the changed Touch/PenPoint objects
+	 * @param	ended			Optional points that end later in the same frame, see addEndedPoints()
+	 * @return	-
+	 */
+	function emitPointEvent(eventName, type, points, ended) {
+		var changed	= [],
+			touches	= [];
+		for(var i=0;i<points.length;i++) changed.push(getContactData(points[i]));
+		for(var i in PointCollection[type]) touches.push(getContactData(PointCollection[type][i]));
+		for(var i in ended) touches.push(getContactData(ended[i]));
+		
+		emit(eventName, {
+			type:			eventName,
+			pointType:		type,
+			changedTouches:	changed,
+			touches:		touches
+		});
+	}
+	
+	/**
+	 * getPointData
+	 * Builds the plain data object of a Touch/PenPoint that is passed to the subscribers.
+	 * 
+	 * @param	point		The Touch/PenPoint object
+	 * @return	the data object
+	 */
+	function getPointData(point) {
+		return {
+			identifier:	point.identifier,
+			target:		point.target,
+			screenX:	point.screenX,
+			screenY:	point.screenY,
+			pageX:		point.pageX,
+			pageY:		point.pageY,
+			clientX:	point.clientX,
+			clientY:	point.clientY
+		};
+	}
+	
+	/**
+	 * getContactData
+	 * Builds the plain data object of a Touch/PenPoint including its contact geometry and force.
+	 * 
+	 * @param	point		The Touch/PenPoint object
+	 * @return	the data object
+	 */
+	function getContactData(point) {
+		var data	= getPointData(point);
+		data.radiusX		= point.radiusX;
+		data.radiusY		= point.radiusY;
+		data.rotationAngle	= point.rotationAngle;
+		data.force			= point.force;
+		data.velocityX		= point.velocityX;
+		data.velocityY		= point.velocityY;
+		data.speed			= point.speed;
+		data.acceleration	= point.acceleration;
+		return data;
+	}
+	
+	/**
+	 * emitGestureEvent
+	 * Informs the subscribers of a gesture event and of the general 'gesture' event.
+	 * 
+	 * @requires	the x/y and pivot positions have already been translated
+	 * @param	eventName		The name of the event, e.g. 'scalechange'
+	 * @param	state			The state of the gesture ('start', 'change', 'end' or 'cancel')
+	 * @param	message			The gesture message object
+	 * @param	target			The target of the gesture
+	 * @param	translation		Optional the translated translation of a drag gesture in pixels
+	 * @return	-
+	 */
+	function emitGestureEvent(eventName, state, message, target, translation) {
+		if (!Listeners[eventName] && !Listeners['gesture']) return;
+		
+		var data	= {
+			type:			eventName,
+			identifier:		message.id,
+			gestureType:	message.gestureType,
+			state:			state,
+			target:			target,
+			scale:			(translation || message.scale===undefined)		? 1 : message.scale,
+			rotation:		(translation || message.rotation===undefined)	? 0 : message.rotation,
+			pivotX:			message.pivotX,
+			pivotY:			message.pivotY,
+			x:				message.x,
+			y:				message.y,
+			translationX:	translation ? translation.x : undefined,
+			translationY:	translation ? translation.y : undefined,
+			touches:		message.touches
+		};
+		emit(eventName, data);
+		emit('gesture', data);
+	}
+	
+	
+	/**
+	 * ContactTimes
+	 * stores the time of the last update for every active Touch, PenPoint and gesture
+	 */
+	var ContactTimes	= {
+		'touch':	{},
+		'pen':		{},
+		'gesture':	{},
+		'object':	{}
+	};
+	
+	// the interval of the stale contact watchdog, if running
+	var watchdogInterval	= null;
+	
+	/**
+	 * updateContactTime
+	 * Stores the time of the last update of a contact and starts the watchdog if configured.
+	 * 
+	 * @param	type			'touch', 'pen', 'gesture' or 'object'
+	 * @param	identifier		The identifier of the contact
+	 * @return	-
+	 */
+	function updateContactTime(type, identifier) {
+		ContactTimes[type][identifier]	= new Date()/1;
+		if (options.staleContactTimeout>0 && !watchdogInterval) {
+			watchdogInterval	= setInterval(checkStaleContacts, Math.max(options.staleContactTimeout/2, 10));
+		}
+	}
+	
+	/**
+	 * stopWatchdog
+	 * Stops the stale contact watchdog.
+	 * 
+	 * @param	-		-
+	 * @return	-
+	 */
+	function stopWatchdog() {
+		if (watchdogInterval) clearInterval(watchdogInterval);
+		watchdogInterval	= null;
+	}
+	
+	/**
+	 * checkStaleContacts
+	 * Cancels every contact that did not receive an update within the staleContactTimeout.
+	 * The watchdog stops itself as soon as no contacts are left.
+	 * 
+	 * @param	-		-
+	 * @return	-
+	 */
+	function checkStaleContacts() {
+		var now		= new Date()/1,
+			active	= false;
+		
+		for(var type in ContactTimes) {
+			for(var identifier in ContactTimes[type]) {
+				if (options.staleContactTimeout>0 && now-ContactTimes[type][identifier]>options.staleContactTimeout) {
+					log("stale "+type+" found (Id.:"+identifier+")");
+					if (type=='gesture') dispatchGestureCancel(identifier);
+					else if (type=='object') dispatchObjectCancel(identifier);
+					else dispatchCustomPointCancel(type, identifier);
+				} else {
+					active	= true;
+				}
+			}
+		}
+		if (!active) stopWatchdog();
+	}
+	
+	
+/**
+ * @end parsing method implementations # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # 
+ */
+	
+
+	/**
+	 * MessageSchema
+	 * The tuioJSON protocol definition per message type. Every field rule has a 'type' and may
+	 * be 'required', either always (true) or depending on the message (function).
+	 * Coordinates are percental values in the range [0,1].
+	 */
+	var pointStates	= ['start','move','end'];
+	var PointSchema	= {
+		id:			{ type: 'identifier',	required: true },
+		state:		{ type: 'enum',			required: true, values: pointStates },
+		x:			{ type: 'coordinate',	required: function(message) { return message.state!='end'; } },
+		y:			{ type: 'coordinate',	required: function(message) { return message.state!='end'; } },
+		fseq:		{ type: 'number' },
+		time:		{ type: 'number' },
+		width:		{ type: 'coordinate' },
+		height:		{ type: 'coordinate' },
+		pressure:	{ type: 'coordinate' },
+		tiltX:		{ type: 'number' },
+		tiltY:		{ type: 'number' },
+		angle:		{ type: 'number' },
+		symbol:		{ type: 'number' }
+	};
+	var MessageSchema	= {
+		'touch':		PointSchema,
+		'pen':			PointSchema,
+		'gesture': {
+			id:				{ type: 'identifier',	required: true },
+			gestureType:	{ type: 'string',		required: true },
+			state:			{ type: 'enum',			required: true, values: ['start','change','end'] },
+			x:				{ type: 'coordinate',	required: function(message) { return message.gestureType=='drag'; } },
+			y:				{ type: 'coordinate',	required: function(message) { return message.gestureType=='drag'; } },
+			translationX:	{ type: 'number',		required: function(message) { return message.gestureType=='drag'; } },
+			translationY:	{ type: 'number',		required: function(message) { return message.gestureType=='drag'; } },
+			pivotX:			{ type: 'coordinate' },
+			pivotY:			{ type: 'coordinate' },
+			scale:			{ type: 'number' },
+			rotation:		{ type: 'number' },
+			touches:		{ type: 'array', items: {
+				x:				{ type: 'coordinate',	required: true },
+				y:				{ type: 'coordinate',	required: true }
+			}}
+		},
+		'shape': {
+			state:			{ type: 'string',		required: true },
+			shapes:			{ type: 'array' }
+		},
+		'frame': {
+			fseq:			{ type: 'number' }
+		},
+		'bundle': {
+			fseq:			{ type: 'number' },
+			time:			{ type: 'number' },
+			messages:		{ type: 'array',		required: true }
+		},
+		'object': {
+			id:					{ type: 'identifier',	required: true },
+			state:				{ type: 'enum',			required: true, values: pointStates },
+			symbol:				{ type: 'number',		required: function(message) { return message.state=='start'; } },
+			x:					{ type: 'coordinate',	required: function(message) { return message.state!='end'; } },
+			y:					{ type: 'coordinate',	required: function(message) { return message.state!='end'; } },
+			fseq:				{ type: 'number' },
+			angle:				{ type: 'number' },
+			velocityX:			{ type: 'number' },
+			velocityY:			{ type: 'number' },
+			rotationVelocity:	{ type: 'number' }
+		},
+		'symbol': {
+			id:				{ type: 'identifier',	required: true },
+			state:			{ type: 'enum',			required: true, values: ['start','change','end'] },
+			symbol:			{ type: 'number' },
+			group:			{ type: 'string' },
+			data:			{ type: 'string',		required: function(message) { return message.state!='end'; } },
+			x:				{ type: 'coordinate' },
+			y:				{ type: 'coordinate' }
+		},
+		'handwriting': {
+			state:			{ type: 'enum',			required: true, values: ['processing','result'] },
+			words:			{ type: 'array',		required: function(message) { return message.state=='result'; }, items: {
+				word:			{ type: 'string',		required: true },
+				confidence:		{ type: 'number' }
+			}}
+		}
+	};
+
+	/**
+	 * validateMessage
+	 * Validates a message according to the invalidMessageMode option and reports any errors.
+	 *
+	 * @param	message		The message object, will be modified in 'repair' mode
+	 * @return	TRUE if the message shall be parsed, FALSE if it shall be dropped
+	 */
+	function validateMessage(message) {
+		var repair	= (options.invalidMessageMode=='repair'),
+			errors	= getValidationErrors(message, repair);
+
+		if (!errors.length) return true;
+
+		var paths	= [];
+		for(var i=0;i<errors.length;i++) paths.push(errors[i].path+' ('+errors[i].reason+')');
+		error("Invalid tuioJSON message: "+paths.join(', '));
+		if (typeof options.onInvalidMessage == 'function') options.onInvalidMessage(errors, message);
+
+		switch(options.invalidMessageMode) {
+			case 'pass':
+				return true;
+			case 'repair':
+				for(var i=0;i<errors.length;i++) if (!errors[i].repairable) return false;
+				return true;
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * getValidationErrors
+	 * Checks a message against the MessageSchema.
+	 *
+	 * @param	message		The message object
+	 * @param	repair		If set to true, repairable fields will be fixed in the message object
+	 * @return	Array of error objects
+	 */
+	function getValidationErrors(message, repair) {
+		var errors	= [];
+
+		if (!message || typeof message != 'object') {
+			errors.push({ path: '', reason: 'message is not an object', value: message, repairable: false });
+		} else if (!MessageSchema[message.type]) {
+			errors.push({ path: 'type', reason: 'unknown message type', value: message.type, repairable: false });
+		} else {
+			validateFields(message, MessageSchema[message.type], message, '', errors, repair);
+		}
+		return errors;
+	}
+
+	/**
+	 * validateFields
+	 * Checks the fields of an object against a set of field rules and collects the errors.
+	 *
+	 * @param	object		The object whose fields shall be checked
+	 * @param	rules		The field rules of the MessageSchema
+	 * @param	message		The full message object, passed to 'required' functions
+	 * @param	prefix		The path of the object inside the message
+	 * @param	errors		The Array to push errors into
+	 * @param	repair		If set to true, repairable fields will be fixed
+	 * @return	-
+	 */
+	function validateFields(object, rules, message, prefix, errors, repair) {
+		for(var field in rules) {
+			var rule		= rules[field],
+				path		= prefix+field,
+				value		= object[field],
+				required	= (typeof rule.required == 'function') ? rule.required(message) : rule.required;
+
+			if (value===undefined || value===null) {
+				if (required) errors.push({ path: path, reason: 'missing required field', value: value, repairable: false });
+				continue;
+			}
+
+			switch(rule.type) {
+				case 'identifier':
+					if ((typeof value != 'number' || !isFinite(value)) && (typeof value != 'string' || value==='')) {
+						errors.push({ path: path, reason: 'invalid identifier', value: value, repairable: false });
+					}
+					break;
+
+				case 'string':
+					if (typeof value != 'string') {
+						errors.push({ path: path, reason: 'not a string', value: value, repairable: false });
+					}
+					break;
+
+				case 'enum':
+					if (rule.values.indexOf(value)==-1) {
+						errors.push({ path: path, reason: 'unknown value, expected one of '+rule.values.join('|'), value: value, repairable: false });
+					}
+					break;
+
+				case 'number':
+				case 'coordinate':
+					var number	= (typeof value == 'number') ? value : parseFloat(value);
+					if (!isFinite(number)) {
+						errors.push({ path: path, reason: 'not a number', value: value, repairable: false });
+						break;
+					}
+					if (typeof value != 'number') {
+						errors.push({ path: path, reason: 'not a number', value: value, repairable: true });
+					}
+					if (rule.type=='coordinate' && (number<0 || number>1)) {
+						errors.push({ path: path, reason: 'coordinate out of range [0,1]', value: value, repairable: true });
+						number	= Math.min(1, Math.max(0, number));
+					}
+					if (repair) object[field] = number;
+					break;
+
+				case 'array':
+					if (!(value instanceof Array)) {
+						errors.push({ path: path, reason: 'not an array', value: value, repairable: false });
+					} else if (rule.items) {
+						for(var i=0;i<value.length;i++) {
+							if (!value[i] || typeof value[i] != 'object') {
+								errors.push({ path: path+'['+i+']', reason: 'not an object', value: value[i], repairable: false });
+							} else {
+								validateFields(value[i], rule.items, message, path+'['+i+'].', errors, repair);
+							}
+						}
+					}
+					break;
+			}
+		}
+	}
+
+
+/**
+ * @end validation method implementations # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # #
+ */
+
+	
+	/**
+	 * getTouches
 	 * Returns a list of all current touches. For speed optimizations, this list is pre-built
 	 * and updated manually using rebuildTouchList().
 	 * You can exclude a specific touch by specifying its identifier.
@@ -774,7 +3030,7 @@ function tuioJSONParser(options) {
 			}
 			return currentTouchList[type];
 		} else {
-			var result	= document.createTouchList();		
+			var result	= TouchList();		
 			for(var i in PointCollection[type]) if (i!=excludeTouchByIdentifier) result.push(PointCollection[type][i]);
 			return result;
 		}
@@ -789,7 +3045,7 @@ function tuioJSONParser(options) {
 	 * @return	-
 	 */
 	function rebuildPointCollection(type) {
-		var result	= document.createTouchList();		
+		var result	= TouchList();		
 		for(var i in PointCollection[type]) result.push(PointCollection[type][i]);
 		currentTouchList[type]	= result;
 	}
@@ -810,63 +3066,348 @@ function tuioJSONParser(options) {
 	 * @return	TouchList of Touches
 	 */
 	function getTargetTouches(type, element, excludeTouchByIdentifier) {
-		var result	= document.createTouchList();
+		var result	= TouchList();
 		var arr = PointCollection[type];
 		for(var i in arr) {
 			if (arr[i].target == element && (!excludeTouchByIdentifier || i!=excludeTouchByIdentifier)) result.push(arr[i]);
 		}
-		return result;
+		return result;
+	}
+	
+	/**
+	 * addEndedPoints
+	 * The start and move events of a frame are dispatched after all of its changes have been applied.
+	 * The points that end in the same frame were still touching the surface then, so they are added
+	 * to the touches and targetTouches of those events.
+	 * 
+	 * @param	list		The TouchList of the current points
+	 * @param	ended		The points that end in the frame by identifier, OR null
+	 * @param	element		Optional target the added points have to be on
+	 * @return	the TouchList
+	 */
+	function addEndedPoints(list, ended, element) {
+		if (!ended) return list;
+		var result	= TouchList(list);
+		for(var i in ended) {
+			if (!element || ended[i].target==element) result.push(ended[i]);
+		}
+		return result;
+	}
+	
+	/**
+	 * getChangedTouches
+	 * Returns a list of touches that have changed since the last touch event.
+	 * 
+	 * W3C:
+	 * "For the touchstart event this must be a list of the touch points that just became active
+	 * with the current event. For the touchmove event this must be a list of the touch points
+	 * that have moved since the last event. For the touchend and touchcancel events this must
+	 * be a list of the touch points that have just been removed from the surface. For the
+	 * touchenter and touchleave events, this must be a list of the touch points that have just
+	 * entered or left the target element."
+	 * 
+	 * @param	type		The type of touches
+	 * @param	points		Array of the currently changed touches
+	 * @return	the TouchList object
+	 */
+	function getChangedTouches(type,points) {
+		var result	= TouchList();
+		for(var i=0;i<points.length;i++) result.push(points[i]);
+		return result;
+	}
+	
+	
+	/**
+	 * getTargetForGesture
+	 * Returns the DOM target for a gesture based on a message, resolved as set by the
+	 * gestureTargetMode option:
+	 *
+	 *  'same'		the element under all touches, null if they are not all on the same element
+	 *  'ancestor'	the nearest common ancestor of the elements under the touches
+	 *  'pivot'		the element under the pivot, or under the touches' centroid if there is no pivot
+	 *
+	 * Gestures without touches[] (e.g. the drags of T&W) target the element under their x/y position,
+	 * or under their pivot in 'pivot' mode.
+	 *
+	 * @requires	the touches[] and pivot positions have already been translated
+	 * @param		message		The message object
+	 * @return		the target OR null if invalid
+	 */
+	function getTargetForGesture(message) {
+		var touches	= message.touches,
+			target;
+
+		// no hit testing if nothing is dispatched on the DOM
+		if (!options.dispatchDOMEvents) return environment.root;
+
+		if (options.gestureTargetMode=='pivot') {
+			if (message.pivotX!==undefined && message.pivotY!==undefined) return getTarget(message.pivotX, message.pivotY);
+			if (!touches || !touches.length) return (message.x!==undefined && message.y!==undefined) ? getTarget(message.x, message.y) : null;
+			var x = 0, y = 0;
+			for(var i=0;i<touches.length;i++) {
+				x	+= touches[i].x;
+				y	+= touches[i].y;
+			}
+			return getTarget(x/touches.length, y/touches.length);
+		}
+
+		if (!touches || !touches.length) return (message.x!==undefined && message.y!==undefined) ? getTarget(message.x, message.y) : null;
+		for(var i=0;i<touches.length;i++) {
+			var thisTarget		= environment.elementFromPoint(touches[i].x, touches[i].y);
+			if (!thisTarget) return null;
+			if (!target) target	= thisTarget;
+			else if (thisTarget!=target) {
+				// if not all touches belong to the same target, kill this message!
+				if (options.gestureTargetMode!='ancestor') return null;
+				target	= getCommonAncestor(target, thisTarget);
+				if (!target) return null;
+			}
+		}
+		return target || null;
+	}
+
+	/**
+	 * getCommonAncestor
+	 * Returns the nearest element that contains both of the given elements (or is one of them).
+	 *
+	 * @param	a		The first element
+	 * @param	b		The second element
+	 * @return	the common ancestor OR null if the elements are not in the same tree
+	 */
+	function getCommonAncestor(a, b) {
+		var ancestors	= [];
+		for(var node=a;node;node=environment.getParent(node)) ancestors.push(node);
+		for(var node=b;node;node=environment.getParent(node)) {
+			if (ancestors.indexOf(node)!=-1) return node;
+		}
+		return null;
+	}
+	
+	/**
+	 * FrameContacts
+	 * stores the route of every Touch, PenPoint, object and gesture that has started on an iframe
+	 * under its identifier, FrameRoutes the routes of all frames by their element. A route's pendingFseq
+	 * is the frame sequence number the frame has received messages of but not yet the frame's end.
+	 */
+	var FrameContacts	= {
+		'touch':	{},
+		'pen':		{},
+		'object':	{},
+		'gesture':	{}
+	};
+	var FrameRoutes		= [];
+	
+	/**
+	 * routeIntoFrame
+	 * Passes a message to the frame its contact has started on, if any. Contacts starting on an
+	 * iframe stay in this frame until they end.
+	 * 
+	 * @requires	the x/y, pivot and touches[] positions of gestures have already been translated
+	 * @param	message		The message object
+	 * @param	position	The position of the message in pixels OR null if it has none
+	 * @param	known		TRUE if the contact is already processed by this parser
+	 * @return	TRUE if the message has been passed to a frame
+	 */
+	function routeIntoFrame(message, position, known) {
+		var routes	= FrameContacts[message.type],
+			route	= routes[message.id];
+		if (!route) {
+			if (known || !position || message.state=='end' || !options.dispatchDOMEvents) return false;
+			route	= getFrameRoute(position.x, position.y);
+			if (!route) return false;
+			routes[message.id]	= route;
+		}
+		if (message.state=='end') delete routes[message.id];
+		
+		var frame	= environment.getFrame(route.element);
+		if (!frame) return true;
+		var translated	= translateForFrame(message, frame);
+		// the frame holds messages with a frame sequence number until it receives the frame's end, see flushFrameRoutes()
+		if (translated.fseq!==undefined && translated.fseq!==null) route.pendingFseq = translated.fseq;
+		sendToFrame(route, frame, translated);
+		return true;
+	}
+	
+	/**
+	 * flushFrameRoutes
+	 * Completes the pending frame in every frame that has received messages of it, by passing a frame
+	 * message. Called whenever a frame of this parser is complete.
+	 * 
+	 * @param	-		-
+	 * @return	-
+	 */
+	function flushFrameRoutes() {
+		for(var i=0;i<FrameRoutes.length;i++) {
+			var route	= FrameRoutes[i];
+			if (route.pendingFseq===undefined) continue;
+			var frame	= environment.getFrame(route.element);
+			if (frame) sendToFrame(route, frame, { type: 'frame', fseq: route.pendingFseq });
+			delete route.pendingFseq;
+		}
+	}
+	
+	/**
+	 * sendToFrame
+	 * Passes a translated message to the parser of a same-origin frame or posts it to a cross-origin one.
+	 * 
+	 * @param	route		The route object of the frame
+	 * @param	frame		The frame object (see getFrame adapter)
+	 * @param	message		The translated message
+	 * @return	-
+	 */
+	function sendToFrame(route, frame, message) {
+		if (route.parser) {
+			route.parser.parse(message);
+		} else {
+			frame.view.postMessage({ tuioJSON: message }, options.frameTargetOrigin);
+		}
+	}
+	
+	/**
+	 * getFrameRoute
+	 * Returns the route to the iframe at the given position. Same-origin frames get a parser of
+	 * their own that dispatches the events inside them, cross-origin frames receive the messages
+	 * via postMessage (see tuioJSONFrameReceiver).
+	 * 
+	 * @param	x		The x position in pixels
+	 * @param	y		The y position in pixels
+	 * @return	the route object OR null if there is no frame
+	 */
+	function getFrameRoute(x,y) {
+		var element	= environment.elementFromPoint(x,y),
+			frame	= element && environment.getFrame(element);
+		if (!frame) return null;
+		
+		for(var i=0;i<FrameRoutes.length;i++) {
+			if (FrameRoutes[i].element!==element) continue;
+			// the frame is still showing the same document
+			if (FrameRoutes[i].document===frame.document) return FrameRoutes[i];
+			FrameRoutes.splice(i,1);
+			break;
+		}
+		
+		// never post the input to any page without being told so
+		if (!frame.document && !options.frameTargetOrigin) {
+			error("No frameTargetOrigin set, input is not passed into cross-origin frames");
+			return null;
+		}
+		
+		var route	= { element: element, document: frame.document, parser: null };
+		if (frame.document) {
+			// positions are translated into the frame's viewport already
+			route.parser	= new tuioJSONParser(extend({}, options, {
+				environment:					BrowserEnvironment(frame.view),
+				useBrowserRelativeCoordinates:	false,
+				useCoordinateCalibration:		false,
+				calibration:					null,
+				surfaceRotation:				0,
+				flipX:							false,
+				flipY:							false,
+				surfaceRegion:					null,
+				validateMessages:				false
+			}));
+		}
+		FrameRoutes.push(route);
+		return route;
+	}
+	
+	/**
+	 * translateForFrame
+	 * Returns a copy of a message whose positions, sizes, angles and velocities are percental to the
+	 * viewport of a frame.
+	 * 
+	 * @requires	the x/y, pivot and touches[] positions of gestures have already been translated
+	 * @param	message		The message object
+	 * @param	frame		The frame object (see getFrame adapter)
+	 * @return	the translated message
+	 */
+	function translateForFrame(message, frame) {
+		var copy	= JSON.parse(JSON.stringify(message));
+		
+		function toFrame(x,y) {
+			return { x: (x-frame.left)/frame.width, y: (y-frame.top)/frame.height };
+		}
+		function toFrameRelative(x,y) {
+			var relative	= calculateRelativePosition(x,y);
+			return { x: relative.x/frame.width, y: relative.y/frame.height };
+		}
+		
+		if (message.type=='gesture') {
+			if (message.x!==undefined) extend(copy, toFrame(message.x, message.y));
+			if (message.pivotX!==undefined) {
+				var pivot	= toFrame(message.pivotX, message.pivotY);
+				copy.pivotX	= pivot.x;
+				copy.pivotY	= pivot.y;
+			}
+			for(var i=0;i<(copy.touches || []).length;i++) extend(copy.touches[i], toFrame(message.touches[i].x, message.touches[i].y));
+			if (message.translationX!==undefined) {
+				var translation		= toFrameRelative(message.translationX, message.translationY);
+				copy.translationX	= translation.x;
+				copy.translationY	= translation.y;
+			}
+			return copy;
+		}
+		
+		if (message.x!==undefined) {
+			var position	= calculatePosition(message.x, message.y);
+			extend(copy, toFrame(position.x, position.y));
+		}
+		if (message.width!==undefined || message.height!==undefined) {
+			var size	= calculateSize(message.width || 0, message.height || 0);
+			if (message.width!==undefined)	copy.width	= size.width/frame.width;
+			if (message.height!==undefined)	copy.height	= size.height/frame.height;
+		}
+		if (message.angle!==undefined) copy.angle = mapSurfaceAngle(message.angle, message.type!='object');
+		if (message.rotationVelocity!==undefined && options.flipX!=options.flipY) copy.rotationVelocity = -message.rotationVelocity;
+		if (message.velocityX!==undefined) {
+			var velocity	= toFrameRelative(message.velocityX, message.velocityY);
+			copy.velocityX	= velocity.x;
+			copy.velocityY	= velocity.y;
+		}
+		if (message.acceleration!==undefined) {
+			var acceleration	= toFrameRelative(message.acceleration, 0);
+			copy.acceleration	= (message.acceleration<0 ? -1 : 1) * Math.sqrt(acceleration.x*acceleration.x + acceleration.y*acceleration.y);
+		}
+		return copy;
 	}
 	
 	/**
-	 * getChangedTouches
-	 * Returns a list of touches that have changed since the last touch event.
-	 * 
-	 * W3C:
-	 * "For the touchstart event this must be a list of the touch points that just became active
-	 * with the current event. For the touchmove event this must be a list of the touch points
-	 * that have moved since the last event. For the touchend and touchcancel events this must
-	 * be a list of the touch points that have just been removed from the surface. For the
-	 * touchenter and touchleave events, this must be a list of the touch points that have just
-	 * entered or left the target element."
+	 * cancelFrameContacts
+	 * Cancels all contacts that have been passed to frames.
 	 * 
-	 * @param	type						The type of touches
-	 * @param	touch		The currently changed touch
-	 * @return	the TouchList object
+	 * @param	-		-
+	 * @return	-
 	 */
-	function getChangedTouches(type,touch) {
-		var result	= document.createTouchList();
-		result.push(touch);
-		return result;
+	function cancelFrameContacts() {
+		for(var type in FrameContacts) FrameContacts[type] = {};
+		for(var i=0;i<FrameRoutes.length;i++) {
+			var route	= FrameRoutes[i],
+				frame	= environment.getFrame(route.element);
+			if (route.parser) route.parser.cancelAll();
+			else if (frame && options.frameTargetOrigin) frame.view.postMessage({ tuioJSONCancel: true }, options.frameTargetOrigin);
+		}
 	}
 	
-	
 	/**
-	 * getTargetForGesture
-	 * Returns the DOM target for a gesture based on a message. Returns null of not all touches are
-	 * on the same target.
+	 * getGesturePosition
+	 * Returns the position a gesture is located at: its x/y position, its pivot or the centroid
+	 * of its touches.
 	 * 
-	 * @requires	the x/y position has already been translated
-	 * @param		message		The message object
-	 * @return		the target OR null if invalid
+	 * @requires	the x/y, pivot and touches[] positions have already been translated
+	 * @param	message		The gesture message object
+	 * @return	Object containing both x and y field in pixels OR null
 	 */
-	function getTargetForGesture(touches) {
-		var target;
-		if (touches) {
-			for(var i=0;i<touches.length;i++) {
-				var thisTarget		= document.elementFromPoint(touches[i].x, touches[i].y);
-				if (!target) target	= thisTarget;
-				else {
-					if (thisTarget!=target) {
-						// if not all touches belong to the same target, kill this message!
-						return null;
-					}
-				}
-			}
-			return target;
-		} else {
-			return null;
+	function getGesturePosition(message) {
+		if (message.x!==undefined && message.y!==undefined) return { x: message.x, y: message.y };
+		if (message.pivotX!==undefined && message.pivotY!==undefined) return { x: message.pivotX, y: message.pivotY };
+		var touches	= message.touches;
+		if (!touches || !touches.length) return null;
+		var x = 0, y = 0;
+		for(var i=0;i<touches.length;i++) {
+			x	+= touches[i].x;
+			y	+= touches[i].y;
 		}
+		return { x: x/touches.length, y: y/touches.length };
 	}
 	
 	/**
@@ -878,7 +3419,9 @@ function tuioJSONParser(options) {
 	 * @return	the target OR null
 	 */
 	function getTarget(x,y) {
-		return document.elementFromPoint(x,y);
+		// no hit testing if nothing is dispatched on the DOM
+		if (!options.dispatchDOMEvents) return environment.root;
+		return environment.elementFromPoint(x,y);
 	}
 	
 	/**
@@ -889,20 +3432,29 @@ function tuioJSONParser(options) {
 	 * @return	Object containing both x and y field in pixels
 	 */
 	function calculatePosition(x,y) {
+		var viewport	= environment.getViewport(),
+			mapped		= mapSurfacePosition(x,y,false);
+		x	= mapped.x;
+		y	= mapped.y;
+		if (options.calibration) {
+			var calibrated	= applyCalibration(x,y);
+			x	= calibrated.x;
+			y	= calibrated.y;
+		}
 		if (options.useBrowserRelativeCoordinates) {
 			return {
-				x: parseInt(screen.width*x - window.screenLeft - (window.outerWidth-window.innerWidth)),
-				y: parseInt(screen.height*y - window.screenTop - (window.outerHeight-window.innerHeight))
+				x: parseInt(viewport.screenWidth*x - viewport.screenLeft - (viewport.outerWidth-viewport.width)),
+				y: parseInt(viewport.screenHeight*y - viewport.screenTop - (viewport.outerHeight-viewport.height))
 			};
 		} else if (options.useCoordinateCalibration) {
 			return {
-				x: parseInt(screen.width*x - options.coordinateOrigin.x),
-				y: parseInt(screen.height*y - options.coordinateOrigin.y)
+				x: parseInt(viewport.screenWidth*x - options.coordinateOrigin.x),
+				y: parseInt(viewport.screenHeight*y - options.coordinateOrigin.y)
 			};
 		} else {
 			return {
-				x: parseInt(x * window.innerWidth),
-				y: parseInt(y * window.innerHeight)
+				x: parseInt(x * viewport.width),
+				y: parseInt(y * viewport.height)
 			};
 		}
 	}
@@ -911,21 +3463,154 @@ function tuioJSONParser(options) {
 	 * calculateRelativePosition
 	 * translates a relative percental coordinates object into a pixel based one.
 	 * Relative coordinates objects do not have to be related to the coordiate
-	 * origin!
+	 * origin! They are vectors (translations, velocities), so they are only scaled.
 	 * 
 	 * @param	coords		Object containing both x and y field, percental
 	 * @return	Object containing both x and y field in pixels
 	 */
 	function calculateRelativePosition(x,y) {
+		var viewport	= environment.getViewport(),
+			mapped		= mapSurfacePosition(x,y,true);
+		x	= mapped.x;
+		y	= mapped.y;
+		if (options.calibration) {
+			// perspective transforms are not linear, so the transform is linearized around the center
+			var center	= applyCalibration(0.5,0.5),
+				moved	= applyCalibration(0.5+x,0.5+y);
+			x	= moved.x-center.x;
+			y	= moved.y-center.y;
+		}
 		if (options.useBrowserRelativeCoordinates) {
 			return {
-				x: parseInt(screen.width*x - window.screenLeft - (window.outerWidth-window.innerWidth)),
-				y: parseInt(screen.height*y - window.screenTop - (window.outerHeight-window.innerHeight))
+				x: parseInt(viewport.screenWidth*x),
+				y: parseInt(viewport.screenHeight*y)
+			};
+		} else {
+			return {
+				x: parseInt(x * viewport.width),
+				y: parseInt(y * viewport.height)
+			};
+		}
+	}
+	
+	/**
+	 * mapSurfacePosition
+	 * maps percental tracker coordinates onto the viewport: the surfaceRegion is stretched onto the
+	 * whole area, then the coordinates are mirrored (flipX, flipY) and rotated (surfaceRotation)
+	 * 
+	 * @param	x			The percental x coordinate
+	 * @param	y			The percental y coordinate
+	 * @param	relative	If set to true, x and y are a translation that is not related to the origin
+	 * @return	Object containing both x and y field, percental
+	 */
+	function mapSurfacePosition(x,y,relative) {
+		var region	= options.surfaceRegion,
+			origin	= relative ? 0 : 1;
+		if (region) {
+			x	= (x - (relative ? 0 : region.x)) / region.width;
+			y	= (y - (relative ? 0 : region.y)) / region.height;
+			if (!relative && options.outsideRegion=='clamp') {
+				x	= Math.min(Math.max(x, 0), 1);
+				y	= Math.min(Math.max(y, 0), 1);
+			}
+		}
+		if (options.flipX) x = origin-x;
+		if (options.flipY) y = origin-y;
+		switch(getSurfaceRotation()) {
+			case 90:	return { x: origin-y,	y: x };
+			case 180:	return { x: origin-x,	y: origin-y };
+			case 270:	return { x: y,			y: origin-x };
+			default:	return { x: x,			y: y };
+		}
+	}
+	
+	/**
+	 * mapSurfaceAngle
+	 * maps an angle of the tracker (e.g. of a contact or an object) onto the viewport as the
+	 * coordinates are mapped by mapSurfacePosition
+	 * 
+	 * @param	angle		The angle in radians
+	 * @param	mirrorOnly	If set to true, the surfaceRotation is not applied
+	 * @return	the angle in radians, [0,2PI) if it has been mapped
+	 */
+	function mapSurfaceAngle(angle, mirrorOnly) {
+		var rotation	= mirrorOnly ? 0 : getSurfaceRotation();
+		if (!options.flipX && !options.flipY && !rotation) return angle;
+		if (options.flipX) angle = Math.PI-angle;
+		if (options.flipY) angle = -angle;
+		angle	= (angle + rotation*Math.PI/180) % (2*Math.PI);
+		return (angle<0) ? angle+2*Math.PI : angle;
+	}
+	
+	/**
+	 * isOutsideSurfaceRegion
+	 * checks whether percental tracker coordinates are outside the surfaceRegion and contacts
+	 * there have to be ignored
+	 * 
+	 * @param	x			The percental x coordinate
+	 * @param	y			The percental y coordinate
+	 * @return	TRUE if the position has to be ignored
+	 */
+	function isOutsideSurfaceRegion(x,y) {
+		var region	= options.surfaceRegion;
+		if (!region || options.outsideRegion!='ignore' || x===undefined || y===undefined) return false;
+		return x<region.x || y<region.y || x>region.x+region.width || y>region.y+region.height;
+	}
+	
+	/**
+	 * getSurfaceRotation
+	 * @return	the surfaceRotation option normalized to [0,360)
+	 */
+	function getSurfaceRotation() {
+		return ((options.surfaceRotation % 360) + 360) % 360;
+	}
+	
+	/**
+	 * applyCalibration
+	 * maps percental coordinates using the matrix of the calibration transform
+	 * 
+	 * @param	x		The percental x coordinate
+	 * @param	y		The percental y coordinate
+	 * @return	Object containing both x and y field, percental
+	 */
+	function applyCalibration(x,y) {
+		var m	= options.calibration.matrix,
+			w	= m[6]*x + m[7]*y + m[8];
+		return {
+			x: (m[0]*x + m[1]*y + m[2]) / w,
+			y: (m[3]*x + m[4]*y + m[5]) / w
+		};
+	}
+	
+	/**
+	 * calculateSize
+	 * translates a percental size (e.g. the width and height of a contact) into pixels
+	 * 
+	 * @param	width		The percental width
+	 * @param	height		The percental height
+	 * @return	Object containing both width and height field in pixels
+	 */
+	function calculateSize(width,height) {
+		var viewport	= environment.getViewport(),
+			region		= options.surfaceRegion;
+		if (region) {
+			width	/= region.width;
+			height	/= region.height;
+		}
+		if (getSurfaceRotation()%180) {
+			var swap	= width;
+			width		= height;
+			height		= swap;
+		}
+		if (options.useBrowserRelativeCoordinates || options.useCoordinateCalibration) {
+			return {
+				width:	viewport.screenWidth*width,
+				height:	viewport.screenHeight*height
 			};
 		} else {
 			return {
-				x: parseInt(x * window.innerWidth),
-				y: parseInt(y * window.innerHeight)
+				width:	width * viewport.width,
+				height:	height * viewport.height
 			};
 		}
 	}
@@ -940,11 +3625,12 @@ function tuioJSONParser(options) {
 	 * @return	an object containing the three tuples of position informations
 	 */
 	function calculateBrowserPositions(x,y) {
+		var viewport	= environment.getViewport();
 		return {
-			screenX:		x + window.screenLeft,
-			screenY:		y + window.screenTop,
-			pageX:			x + window.pageXOffset,
-			pageY:			y + window.pageYOffset,
+			screenX:		x + viewport.screenLeft,
+			screenY:		y + viewport.screenTop,
+			pageX:			x + viewport.scrollX,
+			pageY:			y + viewport.scrollY,
 			clientX:		x,
 			clientY:		y
 		}
@@ -969,6 +3655,89 @@ function tuioJSONParser(options) {
 		target.clientY		= source.clientY;
 	}
 	
+	/**
+	 * injectContactGeometry()
+	 * Injects the blob data of a point message into a Touch/PenPoint. Values the message does not
+	 * carry are kept. The percental width/height become the pixel radii, the angle (in radians)
+	 * becomes the rotationAngle in degrees, normalized to [0,90) by swapping the radii if needed.
+	 * 
+	 * @param	point		the Touch/PenPoint object
+	 * @param	geometry	the ContactGeometry object of the point
+	 * @param	message		the point message object
+	 * @return	-
+	 */
+	function injectContactGeometry(point, geometry, message) {
+		if (message.width!==undefined || message.height!==undefined) {
+			var size		= calculateSize(message.width || 0, message.height || 0);
+			if (message.width!==undefined)	geometry.width = size.width;
+			if (message.height!==undefined)	geometry.height = size.height;
+		}
+		if (message.angle!==undefined) {
+			// width and height are already swapped for 90/270 degree rotations (see calculateSize), so only the mirroring applies
+			geometry.angle	= (mapSurfaceAngle(message.angle, true)*180/Math.PI) % 180;
+			if (geometry.angle<0) geometry.angle += 180;
+		}
+		
+		var swap			= (geometry.angle>=90);
+		point.radiusX		= Math.max((swap ? geometry.height : geometry.width)/2, 1);
+		point.radiusY		= Math.max((swap ? geometry.width : geometry.height)/2, 1);
+		point.rotationAngle	= swap ? geometry.angle-90 : geometry.angle;
+		
+		if (message.pressure!==undefined) point.force = Math.min(Math.max(message.pressure, 0), 1);
+	}
+	
+	/**
+	 * injectMotion()
+	 * Adds the current position of a Touch/PenPoint to its history and injects its velocity (in pixels
+	 * per second) and acceleration (in pixels per second²). Motion values of the server (TUIO velocity
+	 * and acceleration in screen widths/heights per second) are used instead of the history if present.
+	 * The samples are stamped with the time of the message or its frame (in ms) if there is one, so
+	 * that delayed or replayed messages do not distort the velocity.
+	 * 
+	 * @requires	the browser positions have already been injected into the point
+	 * @param	point		the Touch/PenPoint object
+	 * @param	history		the MotionHistory Array of the point
+	 * @param	message		the point message object
+	 * @param	frameTime	Optional time of the frame the message belongs to
+	 * @return	-
+	 */
+	function injectMotion(point, history, message, frameTime) {
+		var now		= (message.time!==undefined) ? message.time : ((frameTime!==undefined) ? frameTime : new Date()/1),
+			sample	= { time: now, x: point.clientX, y: point.clientY, speed: 0 };
+		
+		// a clock that went backwards (e.g. a replay that has been restarted) starts a new history
+		if (history.length && now<history[history.length-1].time) history.length = 0;
+		
+		// keep the samples of the last motionHistoryTime ms, a point that rested longer starts a new history
+		while(history.length && now-history[0].time>options.motionHistoryTime) history.shift();
+		var oldest	= history[0],
+			elapsed	= oldest ? (now-oldest.time)/1000 : 0;
+		history.push(sample);
+		
+		if (message.velocityX!==undefined && message.velocityY!==undefined) {
+			var velocity		= calculateRelativePosition(message.velocityX, message.velocityY);
+			point.velocityX		= velocity.x;
+			point.velocityY		= velocity.y;
+		} else if (elapsed>0) {
+			point.velocityX		= (sample.x-oldest.x)/elapsed;
+			point.velocityY		= (sample.y-oldest.y)/elapsed;
+		} else if (!oldest) {
+			point.velocityX		= 0;
+			point.velocityY		= 0;
+		}
+		point.speed		= sample.speed = Math.sqrt(point.velocityX*point.velocityX + point.velocityY*point.velocityY);
+		
+		if (message.acceleration!==undefined) {
+			// the acceleration is no vector, so only its length is translated
+			var acceleration	= calculateRelativePosition(message.acceleration, 0);
+			point.acceleration	= (message.acceleration<0 ? -1 : 1) * Math.sqrt(acceleration.x*acceleration.x + acceleration.y*acceleration.y);
+		} else if (elapsed>0) {
+			point.acceleration	= (sample.speed-oldest.speed)/elapsed;
+		} else if (!oldest) {
+			point.acceleration	= 0;
+		}
+	}
+	
 	
 /**
  * @end runtime processing method implementations # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # 
@@ -1015,6 +3784,26 @@ function tuioJSONParser(options) {
 	 */
 	function extend(){var a,b,c,d,e,f,g=arguments[0]||{},h=1,i=arguments.length,j=false;if(typeof g==="boolean"){j=g;g=arguments[1]||{};h=2}if(typeof g!=="object"&&!jQuery.isFunction(g)){g={}}if(i===h){g=this;--h}for(;h<i;h++){if((a=arguments[h])!=null){for(b in a){c=g[b];d=a[b];if(g===d){continue}if(j&&d&&(jQuery.isPlainObject(d)||(e=jQuery.isArray(d)))){if(e){e=false;f=c&&jQuery.isArray(c)?c:[]}else{f=c&&jQuery.isPlainObject(c)?c:{}}g[b]=jQuery.inject(j,f,d)}else if(d!==undefined){g[b]=d}}}}return g}
 	
+	/**
+	 * extendOptions
+	 * Extends an options object like extend() does, but the nested option objects are merged instead
+	 * of replaced, so that the given ones do not lose the defaults they lack, e.g. touch.cancelName
+	 * if only touch.startName, moveName and endName are given.
+	 * 
+	 * @param	target		The options object to extend
+	 * @param	source		The options to inject
+	 * @return	the modified target object
+	 */
+	function extendOptions(target, source) {
+		var nestedNames	= ['touch','pen','object','coordinateOrigin','dontParse','gestureRecognition','tapRecognition','scrollEmulation'],
+			nested		= {};
+		for(var i=0;i<nestedNames.length;i++) {
+			var name	= nestedNames[i];
+			if (source && source[name] && typeof source[name] == 'object') nested[name] = extend({}, target[name], source[name]);
+		}
+		return extend(target, source, nested);
+	}
+	
 	/**
 	 * properties
 	 * Add the properties of source with its values to the target object (overwriting!)
@@ -1062,20 +3851,15 @@ function tuioJSONParser(options) {
 		var self = this;
 		
 		/**
-		 * Add an event listener to the document that listens to keydowns.
+		 * Add an event listener to the environment that listens to keydowns and keyups.
 		 * The handler stores whether the user is currently holding on of the modifier keys.
 		 * Every gesture that is dispatched will contain these modifier key values.
 		 */
-		document.addEventListener('keydown', function(event){
-			self.ctrlKeyPressed		= event.ctrlKey || false;
-			self.altKeyPressed		= event.altKey || false;
-			self.shiftKeyPressed	= event.shiftKey || false;
-		}, false);
-		document.addEventListener('keyup', function(event){
+		environment.addKeyListener(function(event){
 			self.ctrlKeyPressed		= event.ctrlKey || false;
 			self.altKeyPressed		= event.altKey || false;
 			self.shiftKeyPressed	= event.shiftKey || false;
-		}, false);
+		});
 		
 		/**
 		 * @public dispatch
@@ -1093,21 +3877,253 @@ function tuioJSONParser(options) {
 			event.metaKey	= this.metaKeyPressed;
 			
 			// dispatch the event on the element or on document
-			element = element || document;
-			return element.dispatchEvent(event);
+			element = element || environment.root;
+			return environment.dispatchEvent(event, element);
 		}
 	}
 	
 	
+	/**
+	 * createEnvironment
+	 * Builds the environment adapters: the adapters of the BrowserEnvironment (or of the HeadlessEnvironment
+	 * if there is no browser) extended by the given ones.
+	 * 
+	 * @param	adapters	Object containing the adapters to override
+	 * @return	the environment object
+	 */
+	function createEnvironment(adapters) {
+		var isBrowser	= (typeof window != 'undefined' && typeof document != 'undefined');
+		return extend(isBrowser ? BrowserEnvironment() : HeadlessEnvironment(), adapters);
+	}
+	
+	/**
+	 * BrowserEnvironment
+	 * The adapters to a browser window. Every environment provides:
+	 * 
+	 *  view					the view (window) events are related to
+	 *  root					the root target events without a specific target are dispatched on
+	 *  getViewport()			returns { width, height, outerWidth, outerHeight, screenWidth, screenHeight,
+	 *  						screenLeft, screenTop, scrollX, scrollY } in pixels
+	 *  elementFromPoint(x,y)	the hit test, returns the target at the given viewport position (the innermost
+	 *  						element of open shadow trees in the browser)
+	 *  getParent(target)		returns the parent of a target OR null, used to find common ancestors
+	 *  getFrame(target)		returns { view, document, left, top, width, height } of an iframe target
+	 *  						(document is null for cross-origin frames) OR null if the target is no frame
+	 *  getScrollState(target)	returns { left, top, maxLeft, maxTop, scrollableX, scrollableY, touchAction } of a
+	 *  						target, used by emulateScrolling, OR null if the target is no element
+	 *  scrollTo(target,x,y)	sets the scroll position of a target
+	 *  createEvent(name)		creates an uninitialized event object of the given interface
+	 *  dispatchEvent(e,target)	the event sink, returns false if the event has been cancelled
+	 *  addKeyListener(fn)		calls fn with every keydown and keyup event
+	 * 
+	 * @param	view	Optional window to use instead of the current one, e.g. the window of an iframe
+	 * @return	the environment object
+	 */
+	function BrowserEnvironment(view) {
+		view	= view || window;
+		var document	= view.document;
+		return {
+			view:		view,
+			root:		document,
+			getViewport: function() {
+				return {
+					width:			view.innerWidth,
+					height:			view.innerHeight,
+					outerWidth:		view.outerWidth,
+					outerHeight:	view.outerHeight,
+					screenWidth:	view.screen.width,
+					screenHeight:	view.screen.height,
+					screenLeft:		view.screenLeft,
+					screenTop:		view.screenTop,
+					scrollX:		view.pageXOffset,
+					scrollY:		view.pageYOffset
+				};
+			},
+			elementFromPoint: function(x,y) {
+				// the document only sees the host of a shadow tree, descend into open shadow roots
+				var element	= document.elementFromPoint(x,y);
+				while (element && element.shadowRoot && element.shadowRoot.elementFromPoint) {
+					var inner	= element.shadowRoot.elementFromPoint(x,y);
+					if (!inner || inner===element) break;
+					element		= inner;
+				}
+				return element;
+			},
+			getParent: function(element) {
+				// leave a shadow tree through its host
+				return element.parentNode || element.host || null;
+			},
+			getFrame: function(element) {
+				if (!element.contentWindow || (element.tagName!='IFRAME' && element.tagName!='FRAME')) return null;
+				var rect		= element.getBoundingClientRect(),
+					frameDoc	= null;
+				try {
+					// throws (or returns null) for cross-origin frames
+					frameDoc	= element.contentDocument;
+				} catch(e) {}
+				return {
+					view:		element.contentWindow,
+					document:	frameDoc || null,
+					left:		rect.left + element.clientLeft,
+					top:		rect.top + element.clientTop,
+					width:		element.clientWidth,
+					height:		element.clientHeight
+				};
+			},
+			getScrollState: function(element) {
+				if (element.nodeType!=1) return null;
+				var style	= view.getComputedStyle(element),
+					isPage	= (element===(document.scrollingElement || document.documentElement));
+				// the page scrolls unless its overflow is hidden, other elements only with overflow auto or scroll
+				function isScrollable(overflow) {
+					return overflow=='auto' || overflow=='scroll' || (isPage && overflow!='hidden' && overflow!='clip');
+				}
+				return {
+					left:			element.scrollLeft,
+					top:			element.scrollTop,
+					maxLeft:		element.scrollWidth-element.clientWidth,
+					maxTop:			element.scrollHeight-element.clientHeight,
+					scrollableX:	isScrollable(style.overflowX),
+					scrollableY:	isScrollable(style.overflowY),
+					touchAction:	style.touchAction || 'auto'
+				};
+			},
+			scrollTo: function(element, left, top) {
+				element.scrollLeft	= left;
+				element.scrollTop	= top;
+			},
+			createEvent: function(interfaceName) {
+				return document.createEvent(interfaceName);
+			},
+			dispatchEvent: function(event, target) {
+				return target.dispatchEvent(event);
+			},
+			addKeyListener: function(callback) {
+				document.addEventListener('keydown', callback, false);
+				document.addEventListener('keyup', callback, false);
+			}
+		};
+	}
+	
+	/**
+	 * HeadlessEnvironment
+	 * The adapters used if there is no browser, e.g. in Node.js or in a Worker. The viewport is a
+	 * Full HD surface, every hit test returns the root object and events are created as
+	 * HeadlessEvent objects that are not dispatched anywhere. Pass your own adapters via the
+	 * 'environment' option, or use on() to receive the input.
+	 * 
+	 * @return	the environment object
+	 */
+	function HeadlessEnvironment() {
+		var root	= {};
+		return {
+			view:		null,
+			root:		root,
+			getViewport: function() {
+				return {
+					width:			1920,
+					height:			1080,
+					outerWidth:		1920,
+					outerHeight:	1080,
+					screenWidth:	1920,
+					screenHeight:	1080,
+					screenLeft:		0,
+					screenTop:		0,
+					scrollX:		0,
+					scrollY:		0
+				};
+			},
+			elementFromPoint: function(x,y) {
+				return root;
+			},
+			getParent: function(target) {
+				return null;
+			},
+			getFrame: function(target) {
+				return null;
+			},
+			getScrollState: function(target) {
+				return null;
+			},
+			scrollTo: function(target, left, top) {},
+			createEvent: function(interfaceName) {
+				return new HeadlessEvent();
+			},
+			dispatchEvent: function(event, target) {
+				return !event.defaultPrevented;
+			},
+			addKeyListener: function(callback) {}
+		};
+	}
+	
+	
 /**
  * @end required object implementations # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # 
  */
 	
+	/**
+	 * @class		HeadlessEvent
+	 * A plain event object providing the initialization methods of DOM events, used if there is no
+	 * document to create events with.
+	 */
+	function HeadlessEvent() {
+		this.type				= undefined;
+		this.bubbles			= false;
+		this.cancelable			= false;
+		this.defaultPrevented	= false;
+		this.timeStamp			= new Date()/1;
+		
+		this.initCustomEvent	= function(type, bubbles, cancelable, detail) {
+			properties(this, { type: type, bubbles: bubbles, cancelable: cancelable, detail: detail });
+		}
+		this.initUIEvent		= function(type, bubbles, cancelable, view, detail) {
+			properties(this, { type: type, bubbles: bubbles, cancelable: cancelable, view: view, detail: detail });
+		}
+		this.initMouseEvent		= function(type, bubbles, cancelable, view, detail, screenX, screenY, clientX, clientY, ctrlKey, altKey, shiftKey, metaKey, button, relatedTarget) {
+			properties(this, {
+				type: type, bubbles: bubbles, cancelable: cancelable, view: view, detail: detail,
+				screenX: screenX, screenY: screenY, clientX: clientX, clientY: clientY,
+				ctrlKey: ctrlKey, altKey: altKey, shiftKey: shiftKey, metaKey: metaKey,
+				button: button, relatedTarget: relatedTarget
+			});
+		}
+		this.preventDefault		= function() {
+			if (this.cancelable) this.defaultPrevented = true;
+		}
+		this.stopPropagation	= function() {}
+	}
+	
+	/**
+	 * createComposedEvent
+	 * Creates an event via the constructor of the view, so that it is composed like native input
+	 * events: it propagates out of shadow trees to the listeners of the hosts and the document.
+	 * Non-bubbling events (enter/leave) are not composed, as their native counterparts.
+	 * 
+	 * @param	interfaceName	The name of the event interface, e.g. 'MouseEvent'
+	 * @param	eventName		The name of the event
+	 * @param	init			The event init dictionary
+	 * @return	the event OR null if the view provides no such constructor
+	 */
+	function createComposedEvent(interfaceName, eventName, init) {
+		var view	= environment.view;
+		if (!view || typeof view[interfaceName] != 'function') return null;
+		init.composed	= init.bubbles;
+		try {
+			return new view[interfaceName](eventName, init);
+		} catch(e) {
+			// e.g. browsers without event constructors
+			return null;
+		}
+	}
+	
 	/**
 	 * @interface CustomEvent
 	 */
 	function CustomEvent(eventName, initialData) {
-		var event	= document.createEvent('CustomEvent');
+		var event	= createComposedEvent('CustomEvent', eventName, { bubbles: true, cancelable: true, detail: 1 });
+		if (event) return event;
+		
+		event		= environment.createEvent('CustomEvent');
 		event.initCustomEvent(eventName, true, true, 1);
 		return event;
 	}
@@ -1116,8 +4132,12 @@ function tuioJSONParser(options) {
 	 * @interface	UIEvent
 	 */
 	function UIEvent(eventName, initialData) {
-		var event			= document.createEvent('UIEvent');
-		event.initUIEvent(eventName, true, true, window, 1);
+		var bubbles			= !(initialData && initialData.bubbles===false),
+			event			= createComposedEvent('UIEvent', eventName, { bubbles: bubbles, cancelable: true, view: environment.view, detail: 1 });
+		if (event) return event;
+		
+		event				= environment.createEvent('UIEvent');
+		event.initUIEvent(eventName, bubbles, true, environment.view, 1);
 		
 		return event;
 	}
@@ -1127,8 +4147,26 @@ function tuioJSONParser(options) {
 	 * @extends		UIEvent
 	 */
 	function MouseEvent(eventName, initialData) {
-		var event				= document.createEvent('MouseEvent');
-		event.initMouseEvent(eventName, true, true, window, 
+		var event				= createComposedEvent('MouseEvent', eventName, {
+			bubbles:		initialData.bubbles!==false,
+			cancelable:		true,
+			view:			environment.view,
+			detail:			1,
+			screenX:		initialData.screenX,
+			screenY:		initialData.screenY,
+			clientX:		initialData.clientX,
+			clientY:		initialData.clientY,
+			ctrlKey:		initialData.ctrlKey,
+			altKey:			initialData.altKey,
+			shiftKey:		initialData.shiftKey,
+			metaKey:		initialData.metaKey,
+			button:			initialData.button,
+			relatedTarget:	initialData.relatedTarget
+		});
+		if (event) return event;
+		
+		event					= environment.createEvent('MouseEvent');
+		event.initMouseEvent(eventName, initialData.bubbles!==false, true, environment.view, 
 							1,
 							initialData.screenX, initialData.screenY,
 							initialData.clientX, initialData.clientY, 
@@ -1137,14 +4175,116 @@ function tuioJSONParser(options) {
 		return event;
 	}
 
+	/**
+	 * @interface	PointerEvent
+	 * @extends		MouseEvent
+	 * 
+	 * Uses the browser's native PointerEvent constructor if available and falls back to a
+	 * MouseEvent carrying the pointer attributes otherwise.
+	 */
+	function PointerEvent(eventName, initialData) {
+		var event;
+		if (environment.view && typeof environment.view.PointerEvent == 'function') {
+			event	= new environment.view.PointerEvent(eventName, {
+				bubbles:		initialData.bubbles,
+				cancelable:		initialData.cancelable,
+				composed:		initialData.bubbles,
+				view:			environment.view,
+				screenX:		initialData.screenX,
+				screenY:		initialData.screenY,
+				clientX:		initialData.clientX,
+				clientY:		initialData.clientY,
+				ctrlKey:		self.eventDispatcher.ctrlKeyPressed,
+				altKey:			self.eventDispatcher.altKeyPressed,
+				shiftKey:		self.eventDispatcher.shiftKeyPressed,
+				metaKey:		self.eventDispatcher.metaKeyPressed,
+				button:			initialData.button,
+				buttons:		initialData.buttons,
+				relatedTarget:	initialData.relatedTarget,
+				pointerId:		initialData.pointerId,
+				pointerType:	initialData.pointerType,
+				isPrimary:		initialData.isPrimary,
+				width:			initialData.width,
+				height:			initialData.height,
+				pressure:		initialData.pressure,
+				tiltX:			initialData.tiltX,
+				tiltY:			initialData.tiltY
+			});
+		} else {
+			event	= MouseEvent(eventName, initialData);
+			properties(event, {
+				buttons:		initialData.buttons,
+				pointerId:		initialData.pointerId,
+				pointerType:	initialData.pointerType,
+				isPrimary:		initialData.isPrimary,
+				width:			initialData.width,
+				height:			initialData.height,
+				pressure:		initialData.pressure,
+				tiltX:			initialData.tiltX,
+				tiltY:			initialData.tiltY
+			});
+		}
+		return event;
+	}
+
 	/**
 	 * @interface TouchList
 	 * 
 	 * According to the W3C Draft of Touch Events version 2,
 	 * @see https://dvcs.w3.org/hg/webevents/raw-file/tip/touchevents.html (2012-02-02)
+	 * 
+	 * For speed optimization reasons, a TouchList is an Array extended by the TouchList methods.
+	 * The identifiers object indexes the Touches by their identifier, so that identifiedTouch()
+	 * does not have to search the list.
+	 * 
+	 * @param	touches		Optional Array (or array-like object) of Touches to fill the list with
+	 */
+	function TouchList(touches){
+		var list				= [];
+		list.identifiers		= {};
+		list.push				= pushToTouchList;
+		list.item				= touchListItem;
+		list.identifiedTouch	= touchListIdentifiedTouch;
+		if (touches) for(var i=0;i<touches.length;i++) list.push(touches[i]);
+		return list;
+	}
+	
+	/**
+	 * pushToTouchList
+	 * Appends Touches to a TouchList and indexes them by their identifier.
+	 * Is being called in the context of the TouchList.
+	 * 
+	 * @param	touch1, touch2, ...		The Touches to append
+	 * @return	the new length of the list
+	 */
+	function pushToTouchList() {
+		for(var i=0;i<arguments.length;i++) {
+			this[this.length]						= arguments[i];
+			this.identifiers[arguments[i].identifier]	= arguments[i];
+		}
+		return this.length;
+	}
+	
+	/**
+	 * touchListItem
+	 * W3C: "returns the Touch at the specified index in the list"
+	 * 
+	 * @param	index		The index of the Touch
+	 * @return	the Touch OR null
+	 */
+	function touchListItem(index) {
+		return this[index] || null;
+	}
+	
+	/**
+	 * touchListIdentifiedTouch
+	 * W3C: "returns the first Touch item in the list whose identifier property matches the specified identifier"
+	 * 
+	 * @param	identifier		The identifier of the Touch
+	 * @return	the Touch OR null
 	 */
-	function TouchList(){
-		return [];
+	function touchListIdentifiedTouch(identifier) {
+		return this.identifiers.hasOwnProperty(identifier) ? this.identifiers[identifier] : null;
 	}
 	
 	/**
@@ -1153,7 +4293,7 @@ function tuioJSONParser(options) {
 	function Touch(initialData) {
 		this.view =				initialData.view			|| undefined;
 		// An identification number for each touch point. When a touch point becomes active, it must be assigned an identifier that is distinct from any other active touch point. While the touch point remains active, all events that refer to it must assign it the same identifier.
-		this.identifier =		initialData.identifier		|| undefined;
+		this.identifier =		initialData.identifier;
 		// The Element on which the touch point started when it was first placed on the surface, even if the touch point has since moved outside the interactive area of that element.
 		this.target =			initialData.target			|| undefined;
 		// The horizontal coordinate of point relative to the screen in pixels
@@ -1168,18 +4308,29 @@ function tuioJSONParser(options) {
 		this.clientX =			initialData.clientX			|| undefined;
 		// The vertical coordinate of point relative to the viewport in pixels, excluding any scroll offset
 		this.clientY =			initialData.clientY			|| undefined;
-		// not implemented:
+		// The pressure in the range [0,1], 0 if the server does not provide it
 		this.force =			initialData.force			|| 0;
+		// The angle in degrees [0,90) the ellipse described by radiusX and radiusY is rotated clockwise
 		this.rotationAngle =	initialData.rotationAngle	|| 0;
+		// The radii of the ellipse that most closely circumscribes the contact area in pixels
 		this.radiusX = 			initialData.radiusX			|| 1;
 		this.radiusY = 			initialData.radiusY			|| 1;
+		// The velocity in pixels per second, its magnitude and the change of the speed in pixels per second²
+		this.velocityX =		initialData.velocityX		|| 0;
+		this.velocityY =		initialData.velocityY		|| 0;
+		this.speed =			initialData.speed			|| 0;
+		this.acceleration =		initialData.acceleration	|| 0;
 	}
 	
 	/**
 	 * @interface PenPointList
+	 * 
+	 * In analogy to the TouchList, provides item() and identifiedTouch().
+	 * 
+	 * @param	penPoints	Optional Array (or array-like object) of PenPoints to fill the list with
 	 */
-	function PenPointList(){
-		return [];
+	function PenPointList(penPoints){
+		return TouchList(penPoints);
 	}
 	
 	/**
@@ -1188,7 +4339,7 @@ function tuioJSONParser(options) {
 	function PenPoint(initialData) {
 		this.view =				initialData.view			|| undefined;
 		// An identification number for each Pen point. When a Pen point becomes active, it must be assigned an identifier that is distinct from any other active Pen point. While the Pen point remains active, all events that refer to it must assign it the same identifier.
-		this.identifier =		initialData.identifier		|| undefined;
+		this.identifier =		initialData.identifier;
 		// The Element on which the Pen point started when it was first placed on the surface, even if the touch point has since moved outside the interactive area of that element.
 		this.target =			initialData.target			|| undefined;
 		// The horizontal coordinate of point relative to the screen in pixels
@@ -1203,8 +4354,44 @@ function tuioJSONParser(options) {
 		this.clientX =			initialData.clientX			|| undefined;
 		// The vertical coordinate of point relative to the viewport in pixels, excluding any scroll offset
 		this.clientY =			initialData.clientY			|| undefined;
+		// The pressure and contact geometry, see Touch
+		this.force =			initialData.force			|| 0;
+		this.rotationAngle =	initialData.rotationAngle	|| 0;
+		this.radiusX = 			initialData.radiusX			|| 1;
+		this.radiusY = 			initialData.radiusY			|| 1;
+		// The velocity, speed and acceleration, see Touch
+		this.velocityX =		initialData.velocityX		|| 0;
+		this.velocityY =		initialData.velocityY		|| 0;
+		this.speed =			initialData.speed			|| 0;
+		this.acceleration =		initialData.acceleration	|| 0;
 	}
-	
+
+	/**
+	 * @class		TangibleObject
+	 */
+	function TangibleObject(initialData) {
+		this.view =				initialData.view			|| undefined;
+		// The identifier of the object while it is on the surface
+		this.identifier =		initialData.identifier;
+		// The symbol (fiducial) id printed on the object, identifies the kind of object
+		this.symbol =			initialData.symbol;
+		// The Element currently under the object
+		this.target =			initialData.target			|| undefined;
+		// The coordinates of the object's center in pixels, see Touch
+		this.screenX =			initialData.screenX			|| undefined;
+		this.screenY =			initialData.screenY			|| undefined;
+		this.pageX =			initialData.pageX			|| undefined;
+		this.pageY =			initialData.pageY			|| undefined;
+		this.clientX =			initialData.clientX			|| undefined;
+		this.clientY =			initialData.clientY			|| undefined;
+		// The orientation of the object in radians
+		this.angle =			initialData.angle			|| 0;
+		// The velocity of the object in pixels per second and radians per second, if provided by the server
+		this.velocityX =		initialData.velocityX		|| 0;
+		this.velocityY =		initialData.velocityY		|| 0;
+		this.rotationVelocity =	initialData.rotationVelocity	|| 0;
+	}
+
 	/**
 	 * @interface	TouchEvent
 	 * @extends		UIEvent
@@ -1213,11 +4400,11 @@ function tuioJSONParser(options) {
 		var event               = UIEvent(eventName, initialData);
 
 		// A list of Touches for every point of contact currently touching the surface
-		event.touches =			initialData.touches			|| document.createTouchList(),
+		event.touches =			initialData.touches			|| TouchList(),
 		// A list of Touches for every point of contact that is touching the surface and started on the element that is the target of the current event
-		event.targetTouches =	initialData.targetTouches	|| document.createTouchList(),
+		event.targetTouches =	initialData.targetTouches	|| TouchList(),
 		// A list of Touches for every point of contact which contributed to the event
-		event.changedTouches =	initialData.changedTouches	|| document.createTouchList(),
+		event.changedTouches =	initialData.changedTouches	|| TouchList(),
 		// true if the alt (Alternate) key modifier is activated; otherwise false
 		event.altKey =			initialData.altKey			|| false,
 		// true if the meta (Meta) key modifier is activated; otherwise false
@@ -1305,6 +4492,78 @@ function tuioJSONParser(options) {
 		return event;
 	}
 	
+	/**
+	 * @interface	ObjectEvent
+	 * @extends		UIEvent
+	 */
+	function ObjectEvent(eventName,initialData){
+		var event	= UIEvent(eventName,initialData);
+		var object	= initialData.object;
+		
+		// additional attributes
+		event.object			= object;
+		event.objects			= initialData.objects;
+		event.identifier		= object.identifier;
+		event.symbol			= object.symbol;
+		event.angle				= object.angle;
+		
+		return event;
+	}
+	
+	/**
+	 * @interface	TapEvent
+	 * @extends		UIEvent
+	 */
+	function TapEvent(eventName,initialData){
+		var event	= UIEvent(eventName,initialData);
+		
+		// additional attributes
+		event.fingers		= initialData.fingers;
+		event.duration		= initialData.duration;
+		// swipes only
+		event.direction		= initialData.direction;
+		event.distance		= initialData.distance;
+		event.velocityX		= initialData.velocityX;
+		event.velocityY		= initialData.velocityY;
+		
+		return event;
+	}
+	
+	/**
+	 * @interface	UnresolvedGestureEvent
+	 * @extends		UIEvent
+	 */
+	function UnresolvedGestureEvent(eventName,initialData){
+		var event	= UIEvent(eventName,initialData);
+		
+		// additional attributes
+		event.identifier	= initialData.identifier;
+		event.gestureType	= initialData.gestureType;
+		event.mode			= initialData.mode;
+		event.pivotX		= initialData.pivotX;
+		event.pivotY		= initialData.pivotY;
+		event.touches		= initialData.touches;
+		event.candidates	= initialData.candidates;
+		
+		return event;
+	}
+	
+	/**
+	 * @interface	SymbolEvent
+	 * @extends		UIEvent
+	 */
+	function SymbolEvent(eventName,initialData){
+		var event	= UIEvent(eventName,initialData);
+		
+		// additional attributes
+		event.identifier	= initialData.identifier;
+		event.symbol		= initialData.symbol;
+		event.group			= initialData.group;
+		event.data			= initialData.data;
+		
+		return event;
+	}
+	
 /**
  * @end Event interface definition implementations # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # 
  */	
@@ -1314,10 +4573,19 @@ function tuioJSONParser(options) {
  * without the danger of performances issues because of the use of
  * the slow console.log().
  */
-window.tuioJSON_performance_log_array = [];
+var tuioJSON_performance_log_array = [];
 function tuioJSON_performance_log(str) {
 	tuioJSON_performance_log_array.push(str);
 }
 function tuioJSON_performance_log_result() {
 	console.log(tuioJSON_performance_log_array.join("\n"));
-}
\ No newline at end of file
+}
+
+/**
+ * Export the class for CommonJS environments (Node.js, bundlers), in browsers it is a global.
+ * For ES modules, see tuioJSONParser.mjs
+ */
+if (typeof module == 'object' && module.exports) {
+	module.exports					= tuioJSONParser;
+	module.exports.tuioJSONParser	= tuioJSONParser;
+}
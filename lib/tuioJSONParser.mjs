@@ -0,0 +1,12 @@
+/**
+ * tuioJSONParser as ES module for Node.js and bundlers, which import the CommonJS export of
+ * tuioJSONParser.js. Browsers can not import it natively, include tuioJSONParser.js by a
+ * script tag there.
+ * 
+ * 		import tuioJSONParser from './lib/tuioJSONParser.mjs';
+ * 		var parser	= new tuioJSONParser(options);
+ */
+import tuioJSONParser from './tuioJSONParser.js';
+
+export { tuioJSONParser };
+export default tuioJSONParser;
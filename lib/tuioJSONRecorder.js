@@ -0,0 +1,178 @@
+/**
+ * tuioJSONRecorder | MIT & BSD
+ *
+ * Records every message that is passed to a tuioJSONParser (or a TWFixor) together with a
+ * high-resolution timestamp, so that a session can be saved as JSON file and reproduced later
+ * using the tuioJSONReplayer.
+ *
+ *
+ * USAGE
+ *
+ * 		var recorder	= new tuioJSONRecorder({ target: parser });
+ * 		recorder.start();
+ * 		// ... interact with the table ...
+ * 		recorder.stop();
+ * 		recorder.download('session.json');
+ *
+ *
+ * RECORDING FORMAT
+ *
+ * 		{
+ * 			"version":	1,
+ * 			"created":	"2012-06-01T12:00:00.000Z",
+ * 			"duration":	5230.5,
+ * 			"messages":	[ { "time": 0, "message": { "type": "touch", ... } }, ... ]
+ * 		}
+ *
+ * 'time' is the time in ms since the recording has been started.
+ */
+function tuioJSONRecorder(options) {
+
+	options = extend({
+		/* the object whose parse() method will be recorded, e.g. a tuioJSONParser or a TWFixor */
+		target: undefined
+	},options);
+
+	if (!options.target) throw "No target object found";
+
+	// the recorded messages
+	var messages	= [];
+
+	// the time the recording has been started at
+	var startTime	= null;
+
+	// the original parse() method of the target while recording
+	var originalParse	= null;
+
+	/**
+	 * @public start
+	 * Starts recording by wrapping the parse() method of the target. Messages are appended
+	 * to an existing recording, use clear() to start a new one.
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.start = function() {
+		if (originalParse) return;
+
+		var target		= options.target;
+		originalParse	= target.parse;
+		if (startTime===null) startTime = now();
+
+		target.parse	= function(message) {
+			// store a copy, since the parser modifies the message object
+			messages.push({
+				time:		now()-startTime,
+				message:	copy(message)
+			});
+			return originalParse.apply(target, arguments);
+		}
+	}
+
+	/**
+	 * @public stop
+	 * Stops recording and restores the parse() method of the target.
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.stop = function() {
+		if (!originalParse) return;
+		options.target.parse	= originalParse;
+		originalParse			= null;
+	}
+
+	/**
+	 * @public clear
+	 * Removes all recorded messages.
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.clear = function() {
+		messages	= [];
+		startTime	= originalParse ? now() : null;
+	}
+
+	/**
+	 * @public isRecording
+	 *
+	 * @param	-		-
+	 * @return	TRUE if the recorder is currently recording
+	 */
+	this.isRecording = function() {
+		return !!originalParse;
+	}
+
+	/**
+	 * @public getRecording
+	 * Returns the recording object, see RECORDING FORMAT.
+	 *
+	 * @param	-		-
+	 * @return	the recording object
+	 */
+	this.getRecording = function() {
+		return {
+			version:	1,
+			created:	new Date().toISOString(),
+			duration:	messages.length ? messages[messages.length-1].time : 0,
+			messages:	messages.slice()
+		};
+	}
+
+	/**
+	 * @public toJSON
+	 * Returns the recording as JSON string.
+	 *
+	 * @param	-		-
+	 * @return	the JSON string
+	 */
+	this.toJSON = function() {
+		return JSON.stringify(this.getRecording());
+	}
+
+	/**
+	 * @public download
+	 * Offers the recording as JSON file download in the browser.
+	 *
+	 * @param	filename	Optional name of the file
+	 * @return	-
+	 */
+	this.download = function(filename) {
+		var blob	= new Blob([this.toJSON()], { type: 'application/json' }),
+			url		= URL.createObjectURL(blob),
+			link	= document.createElement('a');
+
+		link.href		= url;
+		link.download	= filename || 'tuioJSON-recording.json';
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+		setTimeout(function(){ URL.revokeObjectURL(url); }, 0);
+	}
+
+	/**
+	 * now
+	 * Returns a high-resolution timestamp in ms if available.
+	 */
+	function now() {
+		return (typeof performance != 'undefined' && performance.now) ? performance.now() : new Date()/1;
+	}
+
+	/**
+	 * copy
+	 * Returns a deep copy of a decoded JSON message.
+	 */
+	function copy(message) {
+		return JSON.parse(JSON.stringify(message));
+	}
+
+	/**
+	 * extend()
+	 * Method from jQuery to inject data from one object into another
+	 */
+	function extend(){var a,b,c,d,e,f,g=arguments[0]||{},h=1,i=arguments.length,j=false;if(typeof g==="boolean"){j=g;g=arguments[1]||{};h=2}if(typeof g!=="object"&&!jQuery.isFunction(g)){g={}}if(i===h){g=this;--h}for(;h<i;h++){if((a=arguments[h])!=null){for(b in a){c=g[b];d=a[b];if(g===d){continue}if(j&&d&&(jQuery.isPlainObject(d)||(e=jQuery.isArray(d)))){if(e){e=false;f=c&&jQuery.isArray(c)?c:[]}else{f=c&&jQuery.isPlainObject(c)?c:{}}g[b]=jQuery.inject(j,f,d)}else if(d!==undefined){g[b]=d}}}}return g}
+
+}
+
+if (typeof module == 'object' && module.exports) module.exports = tuioJSONRecorder;
@@ -0,0 +1,271 @@
+/**
+ * tuioJSONReplayer | MIT & BSD
+ *
+ * Feeds a recording of the tuioJSONRecorder back into a tuioJSONParser (or a TWFixor), either in
+ * real time, at an adjustable speed or step by step, so that table interactions can be
+ * reproduced at a desk.
+ *
+ *
+ * USAGE
+ *
+ * 		var replayer	= new tuioJSONReplayer({ target: parser, speed: 0.5, loop: true });
+ * 		replayer.load(recording);	// the recording object or its JSON string
+ * 		replayer.play();
+ *
+ *
+ * NOTE
+ *
+ * Seeking skips messages, so Touches that are active at the seek position have no start message.
+ * Active contacts will be cancelled on seek (if the target provides cancelAll()) and the parser's
+ * fixStartEventLack option takes care of the following moves.
+ */
+function tuioJSONReplayer(options) {
+
+	options = extend({
+		/* the object whose parse() method will be fed, e.g. a tuioJSONParser or a TWFixor */
+		target: undefined,
+		/* replay speed, 1 is real time */
+		speed: 1,
+		/* if set to true, the replay starts from the beginning as soon as the end is reached */
+		loop: false,
+		/* optional callback function(entry, index) that is called after every replayed message */
+		onMessage: null,
+		/* optional callback function() that is called as soon as the end of the recording is reached */
+		onEnd: null
+	},options);
+
+	if (!options.target) throw "No target object found";
+
+	// the messages of the loaded recording
+	var messages	= [];
+
+	// the index of the next message to replay
+	var index		= 0;
+
+	// the current position in the recording in ms
+	var position	= 0;
+
+	// the wall clock time and the position when the replay has been (re)started
+	var playStartTime		= null,
+		playStartPosition	= 0;
+
+	// the timeout of the next message while playing
+	var timeout		= null;
+
+	// reference to this
+	var self		= this;
+
+	/**
+	 * @public load
+	 * Loads a recording and rewinds to its beginning.
+	 *
+	 * @param	recording	The recording object or its JSON string
+	 * @return	-
+	 */
+	this.load = function(recording) {
+		if (typeof recording == 'string') recording = JSON.parse(recording);
+		this.pause();
+		messages	= recording.messages || [];
+		index		= 0;
+		position	= 0;
+	}
+
+	/**
+	 * @public play
+	 * Starts or continues replaying in real time (multiplied by the speed).
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.play = function() {
+		if (timeout!==null) return;
+		if (index>=messages.length) rewind();
+		playStartTime		= now();
+		playStartPosition	= position;
+		scheduleNext();
+	}
+
+	/**
+	 * @public pause
+	 * Pauses replaying at the current position.
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.pause = function() {
+		if (timeout===null) return;
+		clearTimeout(timeout);
+		timeout		= null;
+		position	= currentPosition();
+	}
+
+	/**
+	 * @public step
+	 * Pauses and replays the next message immediately.
+	 *
+	 * @param	-		-
+	 * @return	FALSE if there is no message left, TRUE else
+	 */
+	this.step = function() {
+		this.pause();
+		if (index>=messages.length) return false;
+		position	= messages[index].time;
+		replayNext();
+		return true;
+	}
+
+	/**
+	 * @public seek
+	 * Jumps to a position in the recording. Messages before this position will not be replayed.
+	 *
+	 * @param	time	The position in ms
+	 * @return	-
+	 */
+	this.seek = function(time) {
+		var playing	= this.isPlaying();
+		this.pause();
+		cancelActiveContacts();
+
+		position	= Math.max(0, Math.min(time, this.getDuration()));
+		index		= 0;
+		while(index<messages.length && messages[index].time<position) index++;
+
+		if (playing) this.play();
+	}
+
+	/**
+	 * @public setSpeed
+	 * Changes the replay speed, e.g. 2 replays twice as fast, 0.5 half as fast.
+	 *
+	 * @param	speed	The new speed factor
+	 * @return	-
+	 */
+	this.setSpeed = function(speed) {
+		var playing	= this.isPlaying();
+		this.pause();
+		options.speed	= speed;
+		if (playing) this.play();
+	}
+
+	/**
+	 * @public setLoop
+	 *
+	 * @param	loop	TRUE to replay in a loop
+	 * @return	-
+	 */
+	this.setLoop = function(loop) {
+		options.loop	= loop;
+	}
+
+	/**
+	 * @public isPlaying
+	 *
+	 * @param	-		-
+	 * @return	TRUE if currently replaying
+	 */
+	this.isPlaying = function() {
+		return timeout!==null;
+	}
+
+	/**
+	 * @public getPosition
+	 *
+	 * @param	-		-
+	 * @return	the current position in the recording in ms
+	 */
+	this.getPosition = function() {
+		return this.isPlaying() ? currentPosition() : position;
+	}
+
+	/**
+	 * @public getDuration
+	 *
+	 * @param	-		-
+	 * @return	the duration of the recording in ms
+	 */
+	this.getDuration = function() {
+		return messages.length ? messages[messages.length-1].time : 0;
+	}
+
+	/**
+	 * currentPosition
+	 * Calculates the position in the recording while playing.
+	 */
+	function currentPosition() {
+		return playStartPosition + (now()-playStartTime)*options.speed;
+	}
+
+	/**
+	 * scheduleNext
+	 * Sets the timeout for the next message or handles the end of the recording.
+	 */
+	function scheduleNext() {
+		if (index>=messages.length) {
+			timeout		= null;
+			position	= self.getDuration();
+			if (typeof options.onEnd == 'function') options.onEnd();
+			if (options.loop && messages.length) {
+				rewind();
+				self.play();
+			}
+			return;
+		}
+		var delay	= Math.max(0, (messages[index].time-currentPosition())/options.speed);
+		timeout		= setTimeout(function(){
+			// replay every message that is due
+			while(index<messages.length && messages[index].time<=currentPosition()) replayNext();
+			scheduleNext();
+		}, delay);
+	}
+
+	/**
+	 * replayNext
+	 * Passes a copy of the next message to the target, since the parser modifies message objects.
+	 * Messages without a time of their own are stamped with their recording time, so that the
+	 * velocities are the recorded ones when stepping or seeking.
+	 */
+	function replayNext() {
+		var entry	= messages[index++],
+			message	= JSON.parse(JSON.stringify(entry.message));
+		if (message && typeof message == 'object' && message.time===undefined) message.time = entry.time;
+		options.target.parse(message);
+		if (typeof options.onMessage == 'function') options.onMessage(entry, index-1);
+	}
+
+	/**
+	 * rewind
+	 * Jumps back to the beginning of the recording.
+	 */
+	function rewind() {
+		cancelActiveContacts();
+		index		= 0;
+		position	= 0;
+	}
+
+	/**
+	 * cancelActiveContacts
+	 * Cancels all active contacts of the target, if it is (or wraps) a tuioJSONParser.
+	 */
+	function cancelActiveContacts() {
+		var target	= options.target;
+		if (typeof target.cancelAll == 'function') target.cancelAll();
+		else if (typeof target.getParser == 'function') target.getParser().cancelAll();
+	}
+
+	/**
+	 * now
+	 * Returns a high-resolution timestamp in ms if available.
+	 */
+	function now() {
+		return (typeof performance != 'undefined' && performance.now) ? performance.now() : new Date()/1;
+	}
+
+	/**
+	 * extend()
+	 * Method from jQuery to inject data from one object into another
+	 */
+	function extend(){var a,b,c,d,e,f,g=arguments[0]||{},h=1,i=arguments.length,j=false;if(typeof g==="boolean"){j=g;g=arguments[1]||{};h=2}if(typeof g!=="object"&&!jQuery.isFunction(g)){g={}}if(i===h){g=this;--h}for(;h<i;h++){if((a=arguments[h])!=null){for(b in a){c=g[b];d=a[b];if(g===d){continue}if(j&&d&&(jQuery.isPlainObject(d)||(e=jQuery.isArray(d)))){if(e){e=false;f=c&&jQuery.isArray(c)?c:[]}else{f=c&&jQuery.isPlainObject(c)?c:{}}g[b]=jQuery.inject(j,f,d)}else if(d!==undefined){g[b]=d}}}}return g}
+
+}
+
+if (typeof module == 'object' && module.exports) module.exports = tuioJSONReplayer;
@@ -0,0 +1,88 @@
+/**
+ * tuioJSONSharedWorker | MIT & BSD
+ *
+ * SharedWorker script that holds a single WebSocket connection to a tuioJSON server for all
+ * tabs and windows of an origin, and passes every message to the instance that has been elected
+ * by the tuioJSONCoordinator. Start it via the coordinator's 'sharedWorker' option.
+ *
+ *
+ * PORT MESSAGES
+ *
+ * - { type: 'connect', url, connectMessages }	opens the connection, if not yet open
+ * - { type: 'activate' }						the sending instance receives the messages from now on
+ * - { type: 'send', data }						sends data to the server
+ * - { type: 'close' }							the sending instance is gone
+ */
+
+// the WebSocket connection, its URL and the messages to send after every (re)connect
+var socket			= null,
+	url				= null,
+	connectMessages	= [];
+
+// the port of the active instance and the number of connected ports
+var activePort		= null,
+	portCount		= 0;
+
+// the delay of the next reconnect attempt in ms
+var reconnectDelay	= 500;
+
+/**
+ * onconnect
+ * Handles a new tab or window.
+ */
+self.onconnect = function(event) {
+	var port	= event.ports[0];
+	portCount++;
+
+	port.onmessage	= function(event) {
+		var message	= event.data;
+		switch(message.type) {
+			case 'connect':
+				url				= message.url;
+				connectMessages	= message.connectMessages || [];
+				connect();
+				break;
+			case 'activate':
+				activePort	= port;
+				break;
+			case 'send':
+				if (socket && socket.readyState==1) socket.send(message.data);
+				break;
+			case 'close':
+				if (activePort===port) activePort = null;
+				// close the connection if the last tab is gone
+				if (--portCount<=0 && socket) {
+					url	= null;
+					socket.close();
+				}
+				break;
+		}
+	}
+	port.start();
+}
+
+/**
+ * connect
+ * Opens the connection, if not yet open, and re-establishes lost connections.
+ */
+function connect() {
+	if (socket || !url) return;
+	socket				= new WebSocket(url);
+	socket.binaryType	= 'arraybuffer';
+	socket.onopen		= function() {
+		reconnectDelay	= 500;
+		for(var i=0;i<connectMessages.length;i++) {
+			var data	= connectMessages[i];
+			socket.send((typeof data == 'string') ? data : JSON.stringify(data));
+		}
+	}
+	socket.onmessage	= function(event) {
+		if (activePort) activePort.postMessage(event.data);
+	}
+	socket.onclose		= function() {
+		socket	= null;
+		if (!url) return;
+		setTimeout(connect, reconnectDelay);
+		reconnectDelay	= Math.min(reconnectDelay*2, 30000);
+	}
+}
@@ -0,0 +1,460 @@
+/**
+ * tuioOSCDecoder | MIT & BSD
+ *
+ * Decodes binary TUIO 1.1 and TUIO 2.0 OSC packets (e.g. received from a WebSocket relay of a stock TUIO tracker)
+ * and passes the resulting tuioJSON messages to a tuioJSONParser, so that no separate
+ * TUIO-to-tuioJSON bridge is required.
+ *
+ *
+ * USAGE
+ *
+ * 		var decoder	= new tuioOSCDecoder({ target: parser });
+ * 		decoder.decode(arrayBuffer);
+ *
+ * 	or together with the tuioJSONConnection:
+ *
+ * 		new tuioJSONConnection({ url: 'ws://127.0.0.1:3333', target: parser, decoder: decoder });
+ *
+ *
+ * SUPPORTED PROFILES
+ *
+ * - /tuio/2Dcur	cursors, passed as touch messages
+ * - /tuio/2Dobj	objects, passed as object messages with 'symbol' and 'angle'
+ * - /tuio/2Dblb	blobs, passed as touch messages with 'angle', 'width' and 'height'
+ *
+ * The set, alive and fseq messages of a profile are collected until its fseq message arrives.
+ * Start, move and end transitions are derived from the alive lists and passed to the parser
+ * as one bundle message per frame. Velocities and accelerations are passed as 'velocityX',
+ * 'velocityY' and 'acceleration' (in screen widths/heights per second), angles in radians.
+ *
+ *
+ * SUPPORTED TUIO 2.0 COMPONENTS
+ *
+ * - /tuio2/ptr		pointers, passed as touch messages, or as pen messages for stylus and eraser
+ * 					pointers; 'pressure' is passed as is, the shear angle as 'tiltX' in degrees
+ * - /tuio2/tok		tokens, passed as object messages with 'symbol' and 'angle'
+ * - /tuio2/bnd		bounds, add 'angle', 'width' and 'height' to the pointer or token of the same
+ * 					session, or are passed as touch messages on their own
+ * - /tuio2/sym		symbols, passed as symbol messages with 'symbol', 'group' and 'data'
+ *
+ * All components of a frame are collected until its /tuio2/alv message arrives. Pointers with a
+ * negative pressure are hovering above the surface and thus end (or do not start) their Touch.
+ */
+function tuioOSCDecoder(options) {
+
+	options = extend({
+		/* the object whose parse() method receives the tuioJSON messages, e.g. a tuioJSONParser */
+		target: undefined,
+		/* the tuioJSON message type per TUIO profile, profiles without a type will be ignored */
+		profileTypes: {
+			'/tuio/2Dcur':	'touch',
+			'/tuio/2Dobj':	'object',
+			'/tuio/2Dblb':	'touch',
+			'/tuio2/ptr':	'touch',
+			'/tuio2/tok':	'object',
+			'/tuio2/bnd':	'touch',
+			'/tuio2/sym':	'symbol'
+		},
+		/* the tuioJSON message type for TUIO 2.0 stylus and eraser pointers, null to treat them like other pointers */
+		stylusType: 'pen',
+		/* if set to true, the script will output a lot of information to the console */
+		verboseMode: false
+	},options);
+
+	if (!options.target) throw "No target object found";
+
+	/**
+	 * the argument layout of the set messages per profile
+	 */
+	var SetArguments	= {
+		'/tuio/2Dcur':	['id','x','y','velocityX','velocityY','acceleration'],
+		'/tuio/2Dobj':	['id','symbol','x','y','angle','velocityX','velocityY','rotationVelocity','acceleration','rotationAcceleration'],
+		'/tuio/2Dblb':	['id','x','y','angle','width','height','area','velocityX','velocityY','rotationVelocity','acceleration','rotationAcceleration'],
+		'/tuio2/ptr':	['id','typeUserId','componentId','x','y','angle','shear','radius','pressure','velocityX','velocityY','pressureVelocity','acceleration','pressureAcceleration'],
+		'/tuio2/tok':	['id','typeUserId','symbol','x','y','angle','velocityX','velocityY','rotationVelocity','acceleration','rotationAcceleration'],
+		'/tuio2/bnd':	['id','x','y','angle','width','height','area','velocityX','velocityY','rotationVelocity','acceleration','rotationAcceleration'],
+		'/tuio2/sym':	['id','typeUserId','symbol','group','data']
+	};
+
+	/**
+	 * the arguments that are only used by the decoder and not passed to the parser
+	 */
+	var InternalArguments	= { id: true, typeUserId: true, componentId: true, shear: true, radius: true, area: true, pressureVelocity: true, pressureAcceleration: true };
+
+	/**
+	 * the TUIO 2.0 type ids of stylus and eraser pointers
+	 */
+	var StylusTypeIds	= [11, 17];
+
+	// the state of every profile: the active contacts, the last frame number and the updates of the current frame
+	var Profiles	= {};
+
+	// the TUIO 2.0 state: the active sessions, the last and the current frame number and the updated components of the current frame
+	var Tuio2		= createTuio2State();
+
+	// the bundles of the frames completed by the packet that is being decoded
+	var Completed	= [];
+
+	/**
+	 * @public decode
+	 * Decodes an OSC packet (a bundle or a single message) and passes the completed frames to the target.
+	 * Errors of the target are not caught, only the undecodable rest of an invalid packet is dropped.
+	 *
+	 * @param	data	An ArrayBuffer, a typed array or a node.js Buffer
+	 * @return	-
+	 */
+	this.decode = function(data) {
+		var view	= (data instanceof ArrayBuffer) ? new DataView(data) : new DataView(data.buffer, data.byteOffset, data.byteLength);
+		try {
+			decodePacket(view, 0, view.byteLength);
+		} catch(e) {
+			log("Dropping invalid OSC packet", e);
+		}
+		var bundles	= Completed;
+		Completed	= [];
+		for(var i=0;i<bundles.length;i++) options.target.parse(bundles[i]);
+	}
+
+	/**
+	 * @public reset
+	 * Forgets all active contacts and frame numbers, e.g. after the tracker has been restarted.
+	 *
+	 * @param	-		-
+	 * @return	-
+	 */
+	this.reset = function() {
+		Profiles	= {};
+		Tuio2		= createTuio2State();
+	}
+
+	/**
+	 * decodePacket
+	 * Decodes an OSC bundle or message in the given range of the DataView.
+	 */
+	function decodePacket(view, offset, end) {
+		if (readString(view, offset).value=='#bundle') {
+			// skip the '#bundle' string and the time tag
+			offset	+= 16;
+			while(offset<end) {
+				var size	= view.getInt32(offset);
+				decodePacket(view, offset+4, offset+4+size);
+				offset		+= 4+size;
+			}
+		} else {
+			decodeMessage(view, offset);
+		}
+	}
+
+	/**
+	 * decodeMessage
+	 * Decodes a single OSC message and passes it to the TUIO profile handling.
+	 */
+	function decodeMessage(view, offset) {
+		var address	= readString(view, offset);
+		offset		= address.offset;
+
+		var tags	= readString(view, offset);
+		offset		= tags.offset;
+
+		var args	= [];
+		for(var i=1;i<tags.value.length;i++) {
+			switch(tags.value.charAt(i)) {
+				case 'i':	args.push(view.getInt32(offset)); offset += 4; break;
+				case 'f':	args.push(view.getFloat32(offset)); offset += 4; break;
+				case 'd':	args.push(view.getFloat64(offset)); offset += 8; break;
+				case 'h':	args.push(view.getInt32(offset)*4294967296+view.getUint32(offset+4)); offset += 8; break;
+				case 't':	offset += 8; args.push(null); break;
+				case 's':
+				case 'S':	var string = readString(view, offset); args.push(string.value); offset = string.offset; break;
+				case 'b':	var size = view.getInt32(offset); offset += 4+Math.ceil(size/4)*4; args.push(null); break;
+				case 'T':	args.push(true); break;
+				case 'F':	args.push(false); break;
+				case 'N':
+				case 'I':	args.push(null); break;
+			}
+		}
+
+		handleTuioMessage(address.value, args);
+	}
+
+	/**
+	 * readString
+	 * Reads a null-terminated OSC string that is padded to a multiple of 4 bytes.
+	 *
+	 * @return	object with the string value and the offset behind the padding
+	 */
+	function readString(view, offset) {
+		var value	= '',
+			code;
+		for(var i=offset;i<view.byteLength && (code = view.getUint8(i))!==0;i++) value += String.fromCharCode(code);
+		return { value: value, offset: offset+Math.floor((i-offset)/4+1)*4 };
+	}
+
+/**
+ * @end OSC decoding # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # #
+ */
+
+	/**
+	 * handleTuioMessage
+	 * Collects the alive and set messages of a profile and commits the frame on fseq.
+	 */
+	function handleTuioMessage(address, args) {
+		if (address.indexOf('/tuio2/')===0) return handleTuio2Message(address, args);
+		if (!SetArguments[address] || !options.profileTypes[address]) return;
+
+		var profile	= Profiles[address] || (Profiles[address] = { active: {}, fseq: -1, alive: null, updates: {} });
+
+		switch(args[0]) {
+			case 'alive':
+				profile.alive	= args.slice(1);
+				break;
+
+			case 'set':
+				var names	= SetArguments[address],
+					values	= {};
+				for(var i=0;i<names.length;i++) values[names[i]] = args[i+1];
+				profile.updates[values.id]	= values;
+				break;
+
+			case 'fseq':
+				var fseq	= args[1];
+				// drop late frames, but accept frames after a restart of the tracker
+				if (fseq==-1 || fseq>profile.fseq || profile.fseq-fseq>100) commitFrame(address, profile, fseq);
+				profile.alive	= null;
+				profile.updates	= {};
+				break;
+		}
+	}
+
+	/**
+	 * commitFrame
+	 * Derives the start, move and end transitions of a profile and queues them as bundle for the target.
+	 */
+	function commitFrame(address, profile, fseq) {
+		var type		= options.profileTypes[address],
+			active		= profile.active,
+			messages	= [],
+			id;
+
+		if (fseq!=-1) profile.fseq = fseq;
+
+		// contacts that are no longer alive have ended
+		if (profile.alive) {
+			var alive	= {};
+			for(var i=0;i<profile.alive.length;i++) alive[profile.alive[i]] = true;
+			for(id in active) {
+				if (!alive[id]) {
+					messages.push(createMessage(type, 'end', active[id], fseq));
+					delete active[id];
+				}
+			}
+		}
+
+		// updated contacts have either started or moved
+		for(id in profile.updates) {
+			if (profile.alive && profile.alive.indexOf(profile.updates[id].id)==-1) continue;
+			var state	= active[id] ? 'move' : 'start';
+			active[id]	= profile.updates[id];
+			messages.push(createMessage(type, state, active[id], fseq));
+		}
+
+		if (!messages.length) return;
+		log("TUIO frame "+fseq+" of "+address, messages);
+		Completed.push({ type: 'bundle', fseq: fseq, messages: messages });
+	}
+
+	/**
+	 * createMessage
+	 * Creates a tuioJSON point message from the values of a set message.
+	 */
+	function createMessage(type, state, values, fseq) {
+		var message	= { type: type, id: values.id, state: state, fseq: fseq };
+		for(var name in values) {
+			if (!InternalArguments[name] && values[name]!==undefined) message[name] = values[name];
+		}
+		return message;
+	}
+
+/**
+ * @end TUIO 1.1 profiles # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # #
+ */
+
+	/**
+	 * createTuio2State
+	 * Returns the initial TUIO 2.0 state.
+	 */
+	function createTuio2State() {
+		return { active: {}, fseq: -1, frame: -1, updates: {} };
+	}
+
+	/**
+	 * handleTuio2Message
+	 * Collects the components of a TUIO 2.0 frame and commits the frame on alv.
+	 */
+	function handleTuio2Message(address, args) {
+		switch(address) {
+			case '/tuio2/frm':
+				Tuio2.frame		= args[0];
+				Tuio2.updates	= {};
+				break;
+
+			case '/tuio2/alv':
+				var fseq	= Tuio2.frame;
+				// drop late frames, but accept frames after a restart of the tracker
+				if (fseq>Tuio2.fseq || Tuio2.fseq-fseq>100) commitTuio2Frame(args, fseq);
+				Tuio2.updates	= {};
+				break;
+
+			default:
+				if (!SetArguments[address] || !options.profileTypes[address]) return;
+				var names	= SetArguments[address],
+					values	= {};
+				for(var i=0;i<names.length;i++) values[names[i]] = args[i];
+				(Tuio2.updates[values.id] || (Tuio2.updates[values.id] = {}))[address.substr(7)]	= values;
+				break;
+		}
+	}
+
+	/**
+	 * commitTuio2Frame
+	 * Derives the transitions of all sessions of a TUIO 2.0 frame and queues them as bundle for the target.
+	 */
+	function commitTuio2Frame(aliveIds, fseq) {
+		var active		= Tuio2.active,
+			alive		= {},
+			messages	= [],
+			id;
+
+		Tuio2.fseq	= fseq;
+
+		// sessions that are no longer alive have ended
+		for(var i=0;i<aliveIds.length;i++) alive[aliveIds[i]] = true;
+		for(id in active) {
+			if (!alive[id]) {
+				endTuio2Session(active[id], messages, fseq);
+				delete active[id];
+			}
+		}
+
+		// updated sessions have either started or changed
+		for(id in Tuio2.updates) {
+			if (!alive[id]) continue;
+			var session	= active[id] || (active[id] = { components: {}, point: null, symbol: null });
+			updateTuio2Session(session, Tuio2.updates[id], messages, fseq);
+		}
+
+		if (!messages.length) return;
+		log("TUIO 2.0 frame "+fseq, messages);
+		Completed.push({ type: 'bundle', fseq: fseq, messages: messages });
+	}
+
+	/**
+	 * updateTuio2Session
+	 * Merges the updated components into a session and creates the resulting messages.
+	 */
+	function updateTuio2Session(session, update, messages, fseq) {
+		var components	= session.components;
+		for(var name in update) components[name] = update[name];
+
+		if (update.ptr || update.tok || update.bnd) {
+			var point	= createTuio2Point(components);
+			// the session has become hovering or has changed its type
+			if (session.point && (!point || point.type!=session.point.type)) {
+				messages.push(createMessage(session.point.type, 'end', session.point.values, fseq));
+				session.point	= null;
+			}
+			if (point) messages.push(createMessage(point.type, session.point ? 'move' : 'start', point.values, fseq));
+			session.point	= point;
+		}
+
+		if (update.sym) {
+			var state		= !session.symbol ? 'start' : (session.symbol.data!==update.sym.data ? 'change' : null);
+			session.symbol	= update.sym;
+			if (state) messages.push(createSymbolMessage(state, session, fseq));
+		}
+	}
+
+	/**
+	 * endTuio2Session
+	 * Creates the end messages of a session that is no longer alive.
+	 */
+	function endTuio2Session(session, messages, fseq) {
+		if (session.point) messages.push(createMessage(session.point.type, 'end', session.point.values, fseq));
+		if (session.symbol) messages.push(createSymbolMessage('end', session, fseq));
+	}
+
+	/**
+	 * createTuio2Point
+	 * Maps the pointer, token and bounds components of a session onto a point.
+	 *
+	 * @return	object with the message type and the values of the point OR null if there is no point in contact
+	 */
+	function createTuio2Point(components) {
+		var ptr		= components.ptr,
+			tok		= components.tok,
+			bnd		= components.bnd,
+			type,
+			values	= {},
+			name;
+
+		if (ptr) {
+			if (ptr.pressure<0) return null;
+			type	= (StylusTypeIds.indexOf(ptr.typeUserId & 0xFFFF)!=-1 && options.stylusType) || options.profileTypes['/tuio2/ptr'];
+			for(name in ptr) values[name] = ptr[name];
+			values.pressure	= Math.min(ptr.pressure, 1);
+			values.tiltX	= ptr.shear*180/Math.PI;
+			if (ptr.radius>0) values.width = values.height = 2*ptr.radius;
+		} else if (tok) {
+			type	= options.profileTypes['/tuio2/tok'];
+			for(name in tok) values[name] = tok[name];
+		} else if (bnd) {
+			type	= options.profileTypes['/tuio2/bnd'];
+			for(name in bnd) values[name] = bnd[name];
+		} else {
+			return null;
+		}
+
+		// bounds describe the geometry of the pointer or token
+		if (bnd) {
+			values.angle	= bnd.angle;
+			values.width	= bnd.width;
+			values.height	= bnd.height;
+		}
+		return { type: type, values: values };
+	}
+
+	/**
+	 * createSymbolMessage
+	 * Creates a tuioJSON symbol message, positioned at the point of the session if there is one.
+	 */
+	function createSymbolMessage(state, session, fseq) {
+		var symbol	= session.symbol,
+			message	= { type: options.profileTypes['/tuio2/sym'], id: symbol.id, state: state, fseq: fseq, symbol: symbol.symbol, group: symbol.group, data: symbol.data };
+		if (session.point) {
+			message.x	= session.point.values.x;
+			message.y	= session.point.values.y;
+		}
+		return message;
+	}
+
+/**
+ * @end TUIO 2.0 components # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # # #
+ */
+
+	/**
+	 * log
+	 * Output a set of values to the console, if verbose mode is active
+	 */
+	function log() {
+		if (options.verboseMode) console.log.apply(console, arguments);
+	}
+
+	/**
+	 * extend()
+	 * Method from jQuery to inject data from one object into another
+	 */
+	function extend(){var a,b,c,d,e,f,g=arguments[0]||{},h=1,i=arguments.length,j=false;if(typeof g==="boolean"){j=g;g=arguments[1]||{};h=2}if(typeof g!=="object"&&!jQuery.isFunction(g)){g={}}if(i===h){g=this;--h}for(;h<i;h++){if((a=arguments[h])!=null){for(b in a){c=g[b];d=a[b];if(g===d){continue}if(j&&d&&(jQuery.isPlainObject(d)||(e=jQuery.isArray(d)))){if(e){e=false;f=c&&jQuery.isArray(c)?c:[]}else{f=c&&jQuery.isPlainObject(c)?c:{}}g[b]=jQuery.inject(j,f,d)}else if(d!==undefined){g[b]=d}}}}return g}
+
+}
+
+if (typeof module == 'object' && module.exports) module.exports = tuioOSCDecoder;
@@ -0,0 +1,58 @@
+/**
+ * Calibration: the transforms computed from known homographies and affine maps reproduce them,
+ * and the parser maps raw positions onto the expected pixels with them.
+ *
+ * 		node test/calibrator.test.js
+ */
+var assert				= require('assert'),
+	tuioJSONParser		= require('../lib/tuioJSONParser.js'),
+	tuioJSONCalibrator	= require('../lib/tuioJSONCalibrator.js');
+
+// a skewed, rotated and shifted projection, row-major and normalized to matrix[8]==1
+var homography	= [0.9, -0.05, 0.06, 0.05, 0.95, 0.02, 0.02, -0.03, 1];
+
+function project(matrix, x, y) {
+	var w	= matrix[6]*x + matrix[7]*y + matrix[8];
+	return { x: (matrix[0]*x + matrix[1]*y + matrix[2])/w, y: (matrix[3]*x + matrix[4]*y + matrix[5])/w };
+}
+
+function createPairs(matrix, raw) {
+	return raw.map(function(point) {
+		var expected	= project(matrix, point[0], point[1]);
+		return { x: expected.x, y: expected.y, rawX: point[0], rawY: point[1] };
+	});
+}
+
+function assertMatrix(actual, expected) {
+	assert.strictEqual(actual.length, 9);
+	for(var i=0;i<9;i++) assert.ok(Math.abs(actual[i]-expected[i])<1e-9, 'matrix['+i+']: '+actual[i]+' instead of '+expected[i]);
+}
+
+// perspective: the five crosses of the wizard determine the homography exactly
+var pairs	= createPairs(homography, [[0.1, 0.1], [0.9, 0.1], [0.9, 0.9], [0.1, 0.9], [0.5, 0.5]]),
+	matrix	= tuioJSONCalibrator.computeTransform(pairs, 'perspective');
+assertMatrix(matrix, homography);
+assert.ok(tuioJSONCalibrator.getError(matrix, pairs)<1e-9);
+
+// affine: three points determine the map exactly, more are fitted by least squares
+var affine	= [1.1, 0.1, -0.05, -0.1, 0.9, 0.04, 0, 0, 1];
+assertMatrix(tuioJSONCalibrator.computeTransform(createPairs(affine, [[0.1, 0.1], [0.9, 0.1], [0.1, 0.9]]), 'affine'), affine);
+assertMatrix(tuioJSONCalibrator.computeTransform(createPairs(affine, [[0.1, 0.1], [0.9, 0.1], [0.9, 0.9], [0.1, 0.9], [0.5, 0.5]]), 'affine'), affine);
+
+// points on one line do not determine a transform
+assert.throws(function() {
+	tuioJSONCalibrator.computeTransform(createPairs(homography, [[0.1, 0.1], [0.3, 0.3], [0.6, 0.6], [0.9, 0.9]]), 'perspective');
+});
+
+// round trip through the parser: a raw position is dispatched at the pixel of its expected position
+var parser		= new tuioJSONParser({ dispatchDOMEvents: false, throwErrors: false }),
+	positions	= [];
+parser.setCalibration({ type: 'perspective', matrix: matrix });
+parser.on('touchstart', function(event) {
+	positions.push([event.changedTouches[0].clientX, event.changedTouches[0].clientY]);
+});
+parser.parse({ type: 'touch', id: 1, state: 'start', x: 0.3, y: 0.7 });
+var expected	= project(homography, 0.3, 0.7);
+assert.deepStrictEqual(positions, [[parseInt(expected.x*1920), parseInt(expected.y*1080)]]);
+
+console.log('ok - calibrator');
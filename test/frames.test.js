@@ -0,0 +1,71 @@
+/**
+ * Frames: the Touch updates of a frame are dispatched together, in order, and a frame that is not
+ * completed is dispatched after the frameTimeout.
+ *
+ * 		node test/frames.test.js
+ */
+var assert			= require('assert'),
+	tuioJSONParser	= require('../lib/tuioJSONParser.js');
+
+function createParser(options) {
+	var parser	= new tuioJSONParser(Object.assign({ dispatchDOMEvents: false, throwErrors: false }, options)),
+		events	= [];
+	['touchstart','touchmove','touchend'].forEach(function(name) {
+		parser.on(name, function(event) {
+			events.push(name+':'+event.changedTouches.map(function(touch){ return touch.identifier; }).join(','));
+		});
+	});
+	parser.events	= events;
+	return parser;
+}
+
+function touch(id, state, x, fseq) {
+	return { type: 'touch', id: id, state: state, x: x, y: 0.5, fseq: fseq };
+}
+
+// the messages of a frame are collected until the frame message
+var parser	= createParser();
+parser.parse(touch(1, 'start', 0.1, 1));
+parser.parse(touch(2, 'start', 0.2, 1));
+assert.deepStrictEqual(parser.events, []);
+parser.parse({ type: 'frame', fseq: 1 });
+assert.deepStrictEqual(parser.events, ['touchstart:1,2']);
+
+// a message of another frame completes the previous one, the frames keep their order
+parser.parse(touch(1, 'move', 0.15, 2));
+parser.parse(touch(2, 'move', 0.25, 2));
+parser.parse(touch(1, 'end', 0.15, 3));
+assert.deepStrictEqual(parser.events, ['touchstart:1,2', 'touchmove:1,2']);
+parser.parse(touch(2, 'end', 0.25, 4));
+assert.deepStrictEqual(parser.events, ['touchstart:1,2', 'touchmove:1,2', 'touchend:1']);
+
+// messages without fseq complete the pending frame and are dispatched immediately
+parser.parse(touch(3, 'start', 0.3));
+assert.deepStrictEqual(parser.events, ['touchstart:1,2', 'touchmove:1,2', 'touchend:1', 'touchend:2', 'touchstart:3']);
+
+// bundles are dispatched as one frame, a bundle without messages is rejected
+var bundled	= createParser();
+assert.strictEqual(bundled.parse({ type: 'bundle', fseq: 7, messages: [touch(5, 'start', 0.5), touch(6, 'start', 0.6)] }), true);
+assert.deepStrictEqual(bundled.events, ['touchstart:5,6']);
+assert.strictEqual(bundled.parse({ type: 'bundle', fseq: 8 }), false);
+
+// the last frame is dispatched at the end of the task if no frame message follows
+var last	= createParser();
+last.parse(touch(1, 'start', 0.1, 1));
+last.parse(touch(2, 'start', 0.2, 1));
+assert.deepStrictEqual(last.events, []);
+setTimeout(function() {
+	assert.deepStrictEqual(last.events, ['touchstart:1,2']);
+
+	// a longer frameTimeout waits for messages of the same frame that arrive later
+	var delayed	= createParser({ frameTimeout: 50 });
+	delayed.parse(touch(1, 'start', 0.1, 1));
+	setTimeout(function() {
+		delayed.parse(touch(2, 'start', 0.2, 1));
+		assert.deepStrictEqual(delayed.events, []);
+	}, 10);
+	setTimeout(function() {
+		assert.deepStrictEqual(delayed.events, ['touchstart:1,2']);
+		console.log('ok - frames');
+	}, 100);
+}, 0);
@@ -0,0 +1,80 @@
+/**
+ * Gesture recognition: scale, rotate and drag start as soon as the Touches exceed the thresholds.
+ *
+ * 		node test/gestureRecognition.test.js
+ */
+var assert			= require('assert'),
+	tuioJSONParser	= require('../lib/tuioJSONParser.js');
+
+// the headless viewport is 1920x1080, positions are given in pixels and hit their pixel exactly
+function touch(id, state, x, y) {
+	return { type: 'touch', id: id, state: state, x: (x+0.5)/1920, y: (y+0.5)/1080 };
+}
+
+function createParser(options) {
+	var parser	= new tuioJSONParser(Object.assign({ dispatchDOMEvents: false, throwErrors: false, recognizeGestures: true }, options)),
+		events	= [];
+	parser.on('gesture', function(event) {
+		events.push(event.gestureType+event.state);
+	});
+	parser.events	= events;
+	return parser;
+}
+
+// two Touches 200px apart, each 100px from their centroid
+function place(parser) {
+	parser.parse({ type: 'bundle', messages: [touch(1, 'start', 860, 540), touch(2, 'start', 1060, 540)] });
+}
+
+function move(parser, x1, y1, x2, y2) {
+	parser.parse({ type: 'bundle', messages: [touch(1, 'move', x1, y1), touch(2, 'move', x2, y2)] });
+}
+
+function lift(parser) {
+	parser.parse({ type: 'bundle', messages: [touch(1, 'end'), touch(2, 'end')] });
+}
+
+// scale: 4% stays below the scaleThreshold of 5%, 6% exceeds it
+var parser	= createParser();
+place(parser);
+move(parser, 856, 540, 1064, 540);
+assert.deepStrictEqual(parser.events, []);
+move(parser, 854, 540, 1066, 540);
+assert.deepStrictEqual(parser.events, ['scalestart']);
+lift(parser);
+assert.deepStrictEqual(parser.events, ['scalestart', 'scaleend']);
+
+// rotate: 4 degrees stay below the rotateThreshold of 5 degrees, 6 degrees exceed it
+function rotated(degrees) {
+	var angle	= degrees*Math.PI/180;
+	return [960-100*Math.cos(angle), 540-100*Math.sin(angle), 960+100*Math.cos(angle), 540+100*Math.sin(angle)].map(Math.round);
+}
+parser	= createParser();
+place(parser);
+move.apply(null, [parser].concat(rotated(4)));
+assert.deepStrictEqual(parser.events, []);
+move.apply(null, [parser].concat(rotated(6)));
+assert.deepStrictEqual(parser.events, ['rotatestart']);
+lift(parser);
+
+// drag: 8px stay below the dragThreshold of 10px, 12px exceed it
+parser	= createParser();
+place(parser);
+move(parser, 868, 540, 1068, 540);
+assert.deepStrictEqual(parser.events, []);
+move(parser, 872, 540, 1072, 540);
+assert.deepStrictEqual(parser.events, ['dragstart']);
+move(parser, 880, 540, 1080, 540);
+assert.deepStrictEqual(parser.events, ['dragstart', 'dragchange']);
+lift(parser);
+assert.deepStrictEqual(parser.events, ['dragstart', 'dragchange', 'dragend']);
+
+// the thresholds can be changed
+parser	= createParser({ gestureRecognition: { dragThreshold: 20 } });
+place(parser);
+move(parser, 872, 540, 1072, 540);
+assert.deepStrictEqual(parser.events, []);
+move(parser, 882, 540, 1082, 540);
+assert.deepStrictEqual(parser.events, ['dragstart']);
+
+console.log('ok - gestureRecognition');
@@ -0,0 +1,104 @@
+/**
+ * Tap recognition: tap, doubletap, longpress and swipe within and beyond their limits.
+ *
+ * 		node test/tapRecognition.test.js
+ */
+var assert			= require('assert'),
+	tuioJSONParser	= require('../lib/tuioJSONParser.js');
+
+// the headless viewport is 1920x1080, positions are given in pixels and hit their pixel exactly,
+// the position of an end message is ignored, so Touches move to where they are lifted
+function touch(id, state, x, y) {
+	return { type: 'touch', id: id, state: state, x: (x+0.5)/1920, y: (y+0.5)/1080 };
+}
+
+function createParser(tapRecognition) {
+	var parser	= new tuioJSONParser({ dispatchDOMEvents: false, throwErrors: false, recognizeTaps: true, tapRecognition: tapRecognition || {} }),
+		events	= [];
+	['tap','doubletap','longpress','swipe'].forEach(function(name) {
+		parser.on(name, function(event) {
+			events.push(name+(event.direction ? ':'+event.direction : '')+':'+event.fingers);
+		});
+	});
+	parser.events	= events;
+	return parser;
+}
+
+// a Touch that is lifted where it started is a tap, a second one close to it a double tap
+var parser	= createParser();
+parser.parse(touch(1, 'start', 500, 500));
+parser.parse(touch(1, 'end', 500, 500));
+assert.deepStrictEqual(parser.events, ['tap:1']);
+parser.parse(touch(2, 'start', 520, 500));
+parser.parse(touch(2, 'end', 520, 500));
+assert.deepStrictEqual(parser.events, ['tap:1', 'tap:1', 'doubletap:1']);
+
+// a second tap beyond the doubleTapDistance of 30px is no double tap
+parser	= createParser();
+parser.parse(touch(1, 'start', 500, 500));
+parser.parse(touch(1, 'end', 500, 500));
+parser.parse(touch(2, 'start', 540, 500));
+parser.parse(touch(2, 'end', 540, 500));
+assert.deepStrictEqual(parser.events, ['tap:1', 'tap:1']);
+
+// Touches placed together are one tap with several fingers
+parser	= createParser();
+parser.parse({ type: 'bundle', messages: [touch(1, 'start', 500, 500), touch(2, 'start', 600, 500)] });
+parser.parse({ type: 'bundle', messages: [touch(1, 'end', 500, 500), touch(2, 'end', 600, 500)] });
+assert.deepStrictEqual(parser.events, ['tap:2']);
+
+// moving 8px is still a tap, moving 12px beyond the tapMaxDistance of 10px is none
+parser	= createParser();
+parser.parse(touch(1, 'start', 500, 500));
+parser.parse(touch(1, 'move', 508, 500));
+parser.parse(touch(1, 'end', 508, 500));
+parser.parse(touch(2, 'start', 800, 500));
+parser.parse(touch(2, 'move', 812, 500));
+parser.parse(touch(2, 'end', 812, 500));
+assert.deepStrictEqual(parser.events, ['tap:1']);
+
+// a fast movement of 60px is a swipe, one of 40px stays below the swipeMinDistance of 50px
+parser	= createParser();
+parser.parse(touch(1, 'start', 500, 500));
+parser.parse(touch(1, 'move', 530, 500));
+parser.parse(touch(1, 'move', 560, 500));
+parser.parse(touch(1, 'end', 560, 500));
+parser.parse(touch(2, 'start', 500, 800));
+parser.parse(touch(2, 'move', 500, 740));
+parser.parse(touch(2, 'end', 500, 740));
+parser.parse(touch(3, 'start', 800, 500));
+parser.parse(touch(3, 'move', 760, 500));
+parser.parse(touch(3, 'end', 760, 500));
+assert.deepStrictEqual(parser.events, ['swipe:right:1', 'swipe:up:1']);
+
+// Touches moving into different directions do not swipe
+parser	= createParser();
+parser.parse({ type: 'bundle', messages: [touch(1, 'start', 500, 500), touch(2, 'start', 600, 500)] });
+parser.parse({ type: 'bundle', messages: [touch(1, 'move', 440, 500), touch(2, 'move', 660, 500)] });
+parser.parse({ type: 'bundle', messages: [touch(1, 'end', 440, 500), touch(2, 'end', 660, 500)] });
+assert.deepStrictEqual(parser.events, []);
+
+// the time limits need the clock
+var held	= createParser({ tapMaxDuration: 20, longPressDuration: 1000 });
+held.parse(touch(1, 'start', 500, 500));
+var slow	= createParser({ swipeMinVelocity: 1000 });
+slow.parse(touch(1, 'start', 500, 500));
+var pressed	= createParser({ longPressDuration: 20 });
+pressed.parse(touch(1, 'start', 500, 500));
+setTimeout(function() {
+	// a Touch resting longer than the tapMaxDuration is no tap
+	held.parse(touch(1, 'end', 500, 500));
+	assert.deepStrictEqual(held.events, []);
+
+	// 60px in more than 60ms stay below the swipeMinVelocity of 1000px/s
+	slow.parse(touch(1, 'move', 560, 500));
+	slow.parse(touch(1, 'end', 560, 500));
+	assert.deepStrictEqual(slow.events, []);
+
+	// a Touch resting for the longPressDuration is a long press, no tap follows
+	assert.deepStrictEqual(pressed.events, ['longpress:1']);
+	pressed.parse(touch(1, 'end', 500, 500));
+	assert.deepStrictEqual(pressed.events, ['longpress:1']);
+
+	console.log('ok - tapRecognition');
+}, 80);
@@ -0,0 +1,43 @@
+/**
+ * TouchLists: Touches keep their identifier, including 0, and can be looked up by it.
+ *
+ * 		node test/touchList.test.js
+ */
+var assert			= require('assert'),
+	tuioJSONParser	= require('../lib/tuioJSONParser.js');
+
+var events	= [],
+	parser	= new tuioJSONParser({
+		throwErrors:	false,
+		environment:	{
+			dispatchEvent: function(event, target) {
+				events.push(event);
+				return true;
+			}
+		}
+	});
+
+parser.parse({ type: 'bundle', fseq: 1, messages: [
+	{ type: 'touch', id: 0, state: 'start', x: 0.1, y: 0.1 },
+	{ type: 'touch', id: 1, state: 'start', x: 0.2, y: 0.2 }
+] });
+
+var event	= events.filter(function(event){ return event.type=='touchstart'; })[0];
+assert.ok(event);
+assert.strictEqual(event.changedTouches.length, 2);
+assert.strictEqual(event.changedTouches.item(0).identifier, 0);
+assert.strictEqual(event.changedTouches.item(1).identifier, 1);
+assert.strictEqual(event.changedTouches.item(2), null);
+assert.strictEqual(event.touches.identifiedTouch(0), event.changedTouches[0]);
+assert.strictEqual(event.touches.identifiedTouch(1), event.changedTouches[1]);
+assert.strictEqual(event.touches.identifiedTouch(2), null);
+
+// subscribers get the identifier 0 as well
+var identifiers	= [];
+parser.on('touchend', function(event) {
+	identifiers.push(event.changedTouches[0].identifier);
+});
+parser.parse({ type: 'touch', id: 0, state: 'end', x: 0.1, y: 0.1 });
+assert.deepStrictEqual(identifiers, [0]);
+
+console.log('ok - touchList');